@@ -0,0 +1,142 @@
+const fs = require('fs');
+const config = require('./lib/config');
+const { initDatabase, transaction, closeDatabase } = require('./lib/db');
+const migrations = require('./lib/migrate');
+const trust = require('./lib/trust');
+const dataset = require('./lib/dataset');
+
+// Admin command line for offline maintenance of rumors.db.
+// Stop the server first: it keeps its own copy of the database in memory
+// and would overwrite any changes made here on its next snapshot.
+//
+// Usage: node cli.js <command> [--option=value] [--flag]
+
+// Parse --key=value and --flag arguments
+function parseOptions(args) {
+    const options = {};
+    args.forEach(arg => {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg);
+        if (!match) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+        options[match[1]] = match[2] === undefined ? true : match[2];
+    });
+    return options;
+}
+
+const COMMANDS = {
+    'rebuild-scores': {
+        usage: 'rebuild-scores [--strategy=additive|normalized|bayesian] [--apply]',
+        description: 'Recompute every trust score from its votes and show differences from the stored values',
+        run: async options => {
+            const strategy = options.strategy || config.TRUST_STRATEGY;
+            if (!trust.isStrategy(strategy)) {
+                throw new Error(`Strategy must be one of: ${Object.keys(trust.STRATEGIES).join(', ')}`);
+            }
+            if (options.apply && strategy !== config.TRUST_STRATEGY) {
+                throw new Error(trust.applyMismatchError(strategy));
+            }
+
+            const db = await initDatabase();
+            const report = transaction(() => trust.rebuildAll(db, { strategy, apply: Boolean(options.apply) }));
+            closeDatabase();
+
+            report.diffs.forEach(diff => {
+                console.log(`Rumor ${diff.id} [${diff.changed.join(', ')}]: trust ${diff.stored.trust_score} -> ${diff.computed.trust_score}` +
+                    ` (votes ${diff.stored.verify_count}/${diff.stored.dispute_count}` +
+                    ` -> ${diff.computed.verify_count}/${diff.computed.dispute_count})`);
+            });
+            console.log(`${report.changed} of ${report.total} rumors differ under "${strategy}"` +
+                (report.applied ? ' (applied)' : ' (dry run, pass --apply to store)'));
+        }
+    },
+    migrate: {
+        usage: 'migrate [--status]',
+        description: 'Apply pending schema migrations, or list applied and pending ones with --status',
+        run: async options => {
+            const db = await initDatabase(options.status ? { readOnly: true } : { migrate: true, allowPending: true });
+            const list = migrations.status(db);
+            closeDatabase();
+
+            if (options.status) {
+                list.forEach(migration => {
+                    const state = migration.applied_at === null ? 'pending' : `applied ${new Date(migration.applied_at).toISOString()}`;
+                    console.log(`${migration.name}: ${migration.description} (${state})`);
+                });
+            }
+            const pending = list.filter(migration => migration.applied_at === null).length;
+            console.log(pending > 0 ? `${pending} migration(s) pending` : `Schema is up to date (version ${list[list.length - 1].version})`);
+        }
+    },
+    export: {
+        usage: 'export --out=<file> [--format=json|ndjson] [--keep-tokens] [--jitter=seconds] [--bucket=seconds]',
+        description: 'Write a research dump; tokens are re-keyed with a one-off salt unless --keep-tokens',
+        run: async options => {
+            if (typeof options.out !== 'string') {
+                throw new Error('--out=<file> is required');
+            }
+            const { error, options: exportOptions } = dataset.parseExportOptions({
+                format: options.format,
+                rekey: options['keep-tokens'] ? 'false' : undefined,
+                jitter: options.jitter,
+                bucket: options.bucket
+            });
+            if (error) throw new Error(error);
+
+            const db = await initDatabase();
+            const dump = dataset.exportData(db, exportOptions);
+            closeDatabase();
+
+            fs.writeFileSync(options.out, dataset.serialize(dump, exportOptions.format));
+            console.log(`Exported ${dump.rumors.length} rumors, ${dump.votes.length} votes, ${dump.evidence.length} evidence items` +
+                `, ${dump.credibility.length} credibility records and ${dump.settlements.length} settlement credits to ${options.out} (tokens ${dump.tokens})`);
+        }
+    },
+    import: {
+        usage: 'import --file=<file>',
+        description: 'Load a JSON or NDJSON dump into an empty database and rebuild trust scores',
+        run: async options => {
+            if (typeof options.file !== 'string') {
+                throw new Error('--file=<file> is required');
+            }
+            const { error, dump } = dataset.parse(fs.readFileSync(options.file, 'utf8'));
+            if (error) throw new Error(error);
+
+            const db = await initDatabase();
+            const result = transaction(() => dataset.importData(db, dump));
+            closeDatabase();
+
+            if (result.errors) {
+                throw new Error(`Import rejected:\n  ${result.errors.join('\n  ')}`);
+            }
+            console.log(`Imported ${result.counts.rumors} rumors, ${result.counts.votes} votes, ${result.counts.evidence} evidence items` +
+                `, ${result.counts.credibility} credibility records and ${result.counts.settlements} settlement credits; rebuilt ${result.rebuilt} trust scores`);
+        }
+    }
+};
+
+function printUsage() {
+    console.log('Usage: node cli.js <command> [options]\n');
+    Object.values(COMMANDS).forEach(command => {
+        console.log(`  ${command.usage}`);
+        console.log(`      ${command.description}`);
+    });
+}
+
+async function main() {
+    const [name, ...args] = process.argv.slice(2);
+    const command = COMMANDS[name];
+
+    if (!command) {
+        printUsage();
+        process.exitCode = name ? 1 : 0;
+        return;
+    }
+
+    await command.run(parseOptions(args));
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { all, get } = require('./sql');
+
+// Threaded anonymous comments.
+// Commenters appear under a pseudonym derived from the rumor id and their
+// token, so a thread stays readable (the same person keeps the same name)
+// while names on different rumors cannot be linked. Credibility is shown
+// only as a coarse badge band. Pseudonyms mix in a server secret, so they
+// cannot be recomputed from a (public) hashed token.
+
+const MAX_LENGTH = 500;
+
+let secret = null; // Set by init()
+
+const ADJECTIVES = [
+    'Amber', 'Brisk', 'Calm', 'Clever', 'Crimson', 'Dusky', 'Eager', 'Fuzzy',
+    'Gentle', 'Golden', 'Hazy', 'Jolly', 'Keen', 'Lucky', 'Mellow', 'Misty',
+    'Nimble', 'Olive', 'Quiet', 'Rapid', 'Rusty', 'Silent', 'Silver', 'Sleepy',
+    'Snowy', 'Sunny', 'Swift', 'Teal', 'Tidy', 'Velvet', 'Witty', 'Zesty'
+];
+
+const ANIMALS = [
+    'Badger', 'Beaver', 'Crane', 'Falcon', 'Ferret', 'Finch', 'Fox', 'Gecko',
+    'Heron', 'Ibis', 'Jackal', 'Koala', 'Lemur', 'Lynx', 'Marmot', 'Mole',
+    'Newt', 'Otter', 'Owl', 'Panda', 'Puffin', 'Quail', 'Raven', 'Robin',
+    'Seal', 'Sparrow', 'Stoat', 'Swan', 'Tapir', 'Toad', 'Walrus', 'Wren'
+];
+
+// Credibility bands shown instead of exact values (lower bound, badge)
+const BADGES = [
+    [1.5, 'trusted'],
+    [0.5, 'established'],
+    [0.1, 'member'],
+    [0, 'low']
+];
+
+// Use PSEUDONYM_SECRET, or else the secret generated on first start and kept in the database
+function init(db) {
+    if (config.PSEUDONYM_SECRET) {
+        secret = config.PSEUDONYM_SECRET;
+        return;
+    }
+
+    const stored = get(db, "SELECT value FROM server_secrets WHERE name = 'pseudonym'");
+    if (stored) {
+        secret = stored.value;
+        return;
+    }
+    secret = crypto.randomBytes(32).toString('hex');
+    db.run("INSERT INTO server_secrets (name, value, created_at) VALUES ('pseudonym', ?, ?)", [secret, Date.now()]);
+}
+
+function pseudonym(rumorId, hashedToken) {
+    if (secret === null) {
+        throw new Error('Comment pseudonyms need comments.init(db) first');
+    }
+    const digest = crypto.createHash('sha256')
+        .update(`${secret}:${rumorId}:${hashedToken}`)
+        .digest();
+    const adjective = ADJECTIVES[digest[0] % ADJECTIVES.length];
+    const animal = ANIMALS[digest[1] % ANIMALS.length];
+    return `${adjective} ${animal} ${digest.toString('hex', 2, 3)}`;
+}
+
+function badge(credibility) {
+    if (credibility === null || credibility === undefined) return BADGES[BADGES.length - 1][1];
+    return BADGES.find(([minimum]) => credibility >= minimum)[1];
+}
+
+// Validate comment text; returns an error message or null
+function validateContent(content) {
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+        return 'Comment text is required';
+    }
+    if (content.length > MAX_LENGTH) {
+        return `Comment too long (max ${MAX_LENGTH} characters)`;
+    }
+    return null;
+}
+
+// Public shape of a comment; deleted comments keep their place in the thread only
+function present(row, submitterToken) {
+    if (row.is_deleted) {
+        return { id: row.id, parent_id: row.parent_id, deleted: true, created_at: row.created_at, replies: [] };
+    }
+    return {
+        id: row.id,
+        parent_id: row.parent_id,
+        author: pseudonym(row.rumor_id, row.hashed_token),
+        badge: badge(row.credibility),
+        is_submitter: row.hashed_token === submitterToken,
+        content: row.content,
+        created_at: row.created_at,
+        replies: []
+    };
+}
+
+// Drop deleted comments that have no visible replies left
+function prune(nodes) {
+    return nodes.filter(node => {
+        node.replies = prune(node.replies);
+        return !node.deleted || node.replies.length > 0;
+    });
+}
+
+// All comments on a rumor as a tree of replies, oldest first
+function thread(db, rumor) {
+    const rows = all(db, `
+        SELECT c.id, c.rumor_id, c.parent_id, c.hashed_token, c.content, c.created_at, c.is_deleted, u.credibility
+        FROM comments c
+        LEFT JOIN user_credibility u ON u.hashed_token = c.hashed_token
+        WHERE c.rumor_id = ?
+        ORDER BY c.created_at ASC, c.id ASC
+    `, [rumor.id]);
+
+    const nodes = new Map(rows.map(row => [row.id, present(row, rumor.submitter_token)]));
+    const roots = [];
+    nodes.forEach(node => {
+        const parent = node.parent_id !== null ? nodes.get(node.parent_id) : null;
+        (parent ? parent.replies : roots).push(node);
+    });
+    return prune(roots);
+}
+
+module.exports = {
+    MAX_LENGTH,
+    BADGES,
+    init,
+    pseudonym,
+    badge,
+    validateContent,
+    present,
+    thread
+};
@@ -0,0 +1,150 @@
+// Runtime configuration. Every value can be overridden with an environment
+// variable of the same name; defaults match the original prototype behaviour.
+
+function envNumber(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) {
+        throw new Error(`Config ${name} must be a number, got "${value}"`);
+    }
+    return parsed;
+}
+
+function envBoolean(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    return ['1', 'true', 'yes', 'on'].includes(value.toLowerCase());
+}
+
+// Comma-separated list, lowercased and trimmed
+function envList(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const MONTH = 30.44 * DAY;
+
+module.exports = {
+    DB_PATH: process.env.DB_PATH || 'rumors.db',
+
+    // Apply pending schema migrations on startup (otherwise run `node cli.js migrate`)
+    AUTO_MIGRATE: envBoolean('AUTO_MIGRATE', true),
+
+    // Committed writes go to a journal at once; the database file is rewritten at most this often
+    SNAPSHOT_DELAY: envNumber('SNAPSHOT_DELAY_SECONDS', 5) * 1000,
+
+    // Shared secret for admin endpoints (X-Admin-Key header); unset disables them
+    ADMIN_KEY: process.env.ADMIN_KEY || null,
+
+    // Tags submitters can choose from, and how many one rumor may carry
+    TAGS: envList('TAGS', ['academics', 'hostel', 'events', 'admin', 'sports']),
+    MAX_TAGS_PER_RUMOR: envNumber('MAX_TAGS_PER_RUMOR', 3),
+
+    // Lifecycle: longest TTL a submitter may set, and how long after posting (and how closely) a rumor may be corrected
+    MAX_TTL_HOURS: envNumber('MAX_TTL_HOURS', 30 * 24),
+    EDIT_GRACE: envNumber('EDIT_GRACE_MINUTES', 15) * MINUTE,
+    EDIT_MIN_SIMILARITY: envNumber('EDIT_MIN_SIMILARITY', 0.5),
+
+    // Resolution: RESOLUTION_MIN_VOTES counted votes from tokens with RESOLUTION_MIN_CREDIBILITY, of which
+    // RESOLUTION_SUPERMAJORITY agree, make a rumor CONFIRMED or DEBUNKED
+    RESOLUTION_MIN_CREDIBILITY: envNumber('RESOLUTION_MIN_CREDIBILITY', 0.5),
+    RESOLUTION_MIN_VOTES: envNumber('RESOLUTION_MIN_VOTES', 5),
+    RESOLUTION_SUPERMAJORITY: envNumber('RESOLUTION_SUPERMAJORITY', 0.8),
+
+    // Near-duplicate check on submission: shingle similarity against ACTIVE rumors from the last window
+    DUPLICATE_THRESHOLD: envNumber('DUPLICATE_THRESHOLD', 0.6),
+    DUPLICATE_WINDOW: envNumber('DUPLICATE_WINDOW_DAYS', 30) * DAY,
+
+    // Personal information and blocked words in submitted rumors are masked, rejected or let through (mask, reject, off).
+    // ROLL_NUMBER_PATTERN is a case-insensitive regular expression for student roll numbers.
+    CONTENT_FILTER_MODE: (process.env.CONTENT_FILTER_MODE || 'mask').toLowerCase(),
+    CONTENT_BLOCKED_WORDS: envList('CONTENT_BLOCKED_WORDS', []),
+    ROLL_NUMBER_PATTERN: process.env.ROLL_NUMBER_PATTERN || '\\b\\d{2,4}[-/]?[a-z]{2,5}[-/]?\\d{2,5}\\b',
+
+    // Community moderation: a rumor is quarantined once FLAG_MIN_FLAGGERS flags weighing FLAG_QUARANTINE_WEIGHT
+    // (summed credibility) are open on it, and resolved once REVIEW_MIN_REVIEWERS reviews weigh REVIEW_QUORUM_WEIGHT
+    FLAG_MIN_FLAGGERS: envNumber('FLAG_MIN_FLAGGERS', 3),
+    FLAG_QUARANTINE_WEIGHT: envNumber('FLAG_QUARANTINE_WEIGHT', 1.0),
+    REVIEW_MIN_REVIEWERS: envNumber('REVIEW_MIN_REVIEWERS', 3),
+    REVIEW_QUORUM_WEIGHT: envNumber('REVIEW_QUORUM_WEIGHT', 1.0),
+
+    // Search ranking: relevance (0-1) + SEARCH_TRUST_WEIGHT × trust score
+    SEARCH_TRUST_WEIGHT: envNumber('SEARCH_TRUST_WEIGHT', 0.3),
+
+    // Trust scoring strategy (additive, normalized or bayesian) and Beta prior for bayesian
+    TRUST_STRATEGY: process.env.TRUST_STRATEGY || 'additive',
+    TRUST_PRIOR: envNumber('TRUST_PRIOR', 0.5),
+
+    // Settlement: a rumor settles once it has CONSENSUS_THRESHOLD votes and its weighted
+    // margin |v - d| / (v + d) reaches SETTLEMENT_MARGIN, or when archived / older than SETTLEMENT_AGE
+    CONSENSUS_THRESHOLD: envNumber('CONSENSUS_THRESHOLD', 5),
+    SETTLEMENT_MARGIN: envNumber('SETTLEMENT_MARGIN', 0.6),
+    SETTLEMENT_AGE: envNumber('SETTLEMENT_AGE_DAYS', 14) * DAY,
+
+    // Evidence attachments; votes (and submissions) with evidence weigh EVIDENCE_WEIGHT_BONUS times more
+    EVIDENCE_DIR: process.env.EVIDENCE_DIR || 'uploads/evidence',
+    EVIDENCE_MAX_ITEMS: envNumber('EVIDENCE_MAX_ITEMS', 3),
+    EVIDENCE_MAX_IMAGE_BYTES: envNumber('EVIDENCE_MAX_IMAGE_KB', 512) * 1024,
+    EVIDENCE_WEIGHT_BONUS: envNumber('EVIDENCE_WEIGHT_BONUS', 1.5),
+
+    // Mixed into per-rumor comment pseudonyms so they cannot be derived from a known token;
+    // when empty, a random secret is generated on first start and kept in the database
+    PSEUDONYM_SECRET: process.env.PSEUDONYM_SECRET || '',
+
+    // Trending: vote influence halves every TRENDING_HALF_LIFE_HOURS
+    TRENDING_HALF_LIFE: envNumber('TRENDING_HALF_LIFE_HOURS', 6) * HOUR,
+    TRENDING_CACHE_TTL: envNumber('TRENDING_CACHE_TTL_SECONDS', 30) * 1000,
+
+    // Maintenance jobs
+    MAINTENANCE_DRY_RUN: envBoolean('MAINTENANCE_DRY_RUN', false),
+    ARCHIVE_INTERVAL: envNumber('ARCHIVE_INTERVAL_MINUTES', 15) * MINUTE,
+    PURGE_INTERVAL: envNumber('PURGE_INTERVAL_MINUTES', 6 * 60) * MINUTE,
+    ARCHIVE_INACTIVITY: envNumber('ARCHIVE_INACTIVITY_MONTHS', 7) * MONTH,
+    ARCHIVE_TRUST_THRESHOLD: envNumber('ARCHIVE_TRUST_THRESHOLD', -0.8),
+    CREDIBILITY_RETENTION: envNumber('CREDIBILITY_RETENTION_DAYS', 365) * DAY,
+
+    // Aggregate statistics: rollup interval, the fewest distinct tokens behind any published number,
+    // and how far back distributions reach (rumors submitted, tokens updated)
+    STATS_INTERVAL: envNumber('STATS_INTERVAL_MINUTES', 60) * MINUTE,
+    STATS_MIN_GROUP_SIZE: envNumber('STATS_MIN_GROUP_SIZE', 5),
+    STATS_WINDOW: envNumber('STATS_WINDOW_DAYS', 365) * DAY,
+
+    // Tokens updated within this window count as active for credibility percentiles
+    ACTIVE_TOKEN_WINDOW: envNumber('ACTIVE_TOKEN_WINDOW_DAYS', 30) * DAY,
+
+    // Rate limits (token buckets): burst size and sustained rate
+    RUMOR_TOKEN_BURST: envNumber('RUMOR_TOKEN_BURST', 3),
+    RUMOR_TOKEN_PER_HOUR: envNumber('RUMOR_TOKEN_PER_HOUR', 10),
+    RUMOR_GLOBAL_PER_MINUTE: envNumber('RUMOR_GLOBAL_PER_MINUTE', 60),
+    VOTE_TOKEN_BURST: envNumber('VOTE_TOKEN_BURST', 20),
+    VOTE_TOKEN_PER_HOUR: envNumber('VOTE_TOKEN_PER_HOUR', 120),
+    VOTE_GLOBAL_PER_MINUTE: envNumber('VOTE_GLOBAL_PER_MINUTE', 600),
+    COMMENT_TOKEN_BURST: envNumber('COMMENT_TOKEN_BURST', 5),
+    COMMENT_TOKEN_PER_HOUR: envNumber('COMMENT_TOKEN_PER_HOUR', 30),
+    COMMENT_GLOBAL_PER_MINUTE: envNumber('COMMENT_GLOBAL_PER_MINUTE', 120),
+
+    // Proof of work required from tokens without a credibility row
+    POW_DIFFICULTY: envNumber('POW_DIFFICULTY', 18),
+    POW_CHALLENGE_TTL: envNumber('POW_CHALLENGE_TTL_MINUTES', 10) * MINUTE,
+
+    // How long a challenge for linking an old token to a new device stays valid
+    LINK_CHALLENGE_TTL: envNumber('LINK_CHALLENGE_TTL_MINUTES', 10) * MINUTE,
+
+    // Probation: young tokens' votes are damped until they are old and active enough
+    PROBATION_AGE: envNumber('PROBATION_DAYS', 3) * DAY,
+    PROBATION_MIN_VOTES: envNumber('PROBATION_MIN_VOTES', 5),
+    PROBATION_DAMPING: envNumber('PROBATION_DAMPING', 0.25),
+
+    // Minimum time between casting, changing, retracting or re-casting a vote on one rumor
+    VOTE_CHANGE_COOLDOWN: envNumber('VOTE_CHANGE_COOLDOWN_MINUTES', 60) * MINUTE,
+
+    // Burst detection: this many probation votes in one direction within the window are quarantined
+    BURST_WINDOW: envNumber('BURST_WINDOW_MINUTES', 10) * MINUTE,
+    BURST_MIN_VOTES: envNumber('BURST_MIN_VOTES', 5)
+};
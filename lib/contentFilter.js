@@ -0,0 +1,64 @@
+const config = require('./config');
+
+// Local screening of submitted rumor text for personal information and
+// blocked keywords. Nothing leaves the server. Depending on
+// CONTENT_FILTER_MODE a match either rejects the submission or is masked
+// out of the stored text; 'off' disables the filter.
+
+const MODES = ['mask', 'reject', 'off'];
+
+if (!MODES.includes(config.CONTENT_FILTER_MODE)) {
+    throw new Error(`Config CONTENT_FILTER_MODE must be one of: ${MODES.join(', ')}`);
+}
+
+// Each detector has a mask used in place of what it found
+const DETECTORS = [
+    { kind: 'email', label: 'email addresses', pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.[\p{L}]{2,}/gu, mask: '[email removed]' },
+    { kind: 'phone', label: 'phone numbers', pattern: /(?<![\p{L}\p{N}])\+?\d(?:[\s.-]?\(?\d\)?){9,13}(?![\p{L}\p{N}])/gu, mask: '[phone removed]' },
+    { kind: 'roll_number', label: 'roll numbers', pattern: new RegExp(config.ROLL_NUMBER_PATTERN, 'giu'), mask: '[roll number removed]' }
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Blocked words and phrases match whole words, case-insensitively
+function keywordDetector(words) {
+    if (words.length === 0) return null;
+    const alternatives = words.map(escapeRegExp).join('|');
+    return {
+        kind: 'keyword',
+        label: 'blocked words',
+        pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu'),
+        mask: '***'
+    };
+}
+
+const KEYWORDS = keywordDetector(config.CONTENT_BLOCKED_WORDS);
+
+// Screen text; returns { content, found } where found lists the kinds of match
+// (content is masked in 'mask' mode), or { error, found } in 'reject' mode
+function screen(text, mode = config.CONTENT_FILTER_MODE) {
+    if (mode === 'off') return { content: text, found: [] };
+
+    const matched = [];
+    let content = text;
+    [...DETECTORS, KEYWORDS].filter(Boolean).forEach(detector => {
+        const masked = content.replace(detector.pattern, detector.mask);
+        if (masked !== content) {
+            matched.push(detector);
+            content = masked;
+        }
+    });
+
+    const found = matched.map(detector => detector.kind);
+    if (found.length > 0 && mode === 'reject') {
+        return { error: `Content is not allowed: it contains ${matched.map(detector => detector.label).join(', ')}`, found };
+    }
+    return { content, found };
+}
+
+module.exports = {
+    MODES,
+    screen
+};
@@ -0,0 +1,499 @@
+const crypto = require('crypto');
+const tags = require('./tags');
+const trust = require('./trust');
+const { STATUSES } = require('./listing');
+const { all, get } = require('./sql');
+
+// Versioned dumps of rumors, votes, evidence and credibility for research.
+// Settlement credits still in effect go along, so imported votes on settled
+// rumors are not credited a second time.
+// By default every hashed token is re-keyed with a salt that exists only for
+// the one export, so a dump cannot be joined with the live database or with
+// another dump; for the same reason ids are renumbered and credibility-derived
+// numbers rounded. The public rumor list shows each submitter's token, so a
+// re-keyed dump also leaves out who submitted each rumor (the submitter's own
+// evidence gets a token of its own) and the stored image names, which are the
+// content hashes the files are served under. What it still reveals: exact
+// rumor and evidence text, tags, every voter's votes and credibility under one
+// per-dump token, and timing, to the precision left after jitter and bucketing.
+// Timestamps can also be jittered (by one offset per rumor, shared by
+// everything attached to it, so their order survives) or bucketed. A dump is JSON
+// (one object) or NDJSON (a header line, then one record per line), and can
+// be imported into an empty database, after which derived scores are rebuilt.
+
+const FORMAT = 'campus-rumors-dump';
+const VERSION = 2;
+const FORMATS = ['json', 'ndjson'];
+const MAX_REPORTED_ERRORS = 20;
+const REKEYED_DECIMALS = 2; // Credibility, weights and trust scores in re-keyed dumps
+
+// NDJSON record type for each section
+const SECTIONS = {
+    rumors: 'rumor',
+    votes: 'vote',
+    evidence: 'evidence',
+    credibility: 'credibility',
+    settlements: 'settlement'
+};
+
+// Validate export query parameters; jitter and bucket are in seconds.
+// Returns { error } or { options }.
+function parseExportOptions(query) {
+    const format = query.format ? String(query.format).toLowerCase() : 'json';
+    if (!FORMATS.includes(format)) {
+        return { error: `Format must be one of: ${FORMATS.join(', ')}` };
+    }
+
+    const seconds = {};
+    for (const name of ['jitter', 'bucket']) {
+        const value = query[name] === undefined ? 0 : Number(query[name]);
+        if (!Number.isInteger(value) || value < 0) {
+            return { error: `${name} must be a whole number of seconds` };
+        }
+        seconds[name] = value;
+    }
+
+    return { options: { format, rekey: String(query.rekey) !== 'false', jitter: seconds.jitter, bucket: seconds.bucket } };
+}
+
+// Token mapping for one export: salted re-keying, or the identity
+function tokenMapper(rekey) {
+    if (!rekey) return token => token;
+
+    const salt = crypto.randomBytes(32);
+    const keyed = new Map();
+    return token => {
+        if (token === null) return null;
+        if (!keyed.has(token)) {
+            keyed.set(token, crypto.createHmac('sha256', salt).update(token).digest('hex'));
+        }
+        return keyed.get(token);
+    };
+}
+
+// Id mapping for one export: 1, 2, 3... in the order ids are first seen, or the identity
+function idMapper(renumber) {
+    if (!renumber) return id => id;
+
+    const ids = new Map();
+    return id => {
+        if (id === null) return null;
+        if (!ids.has(id)) ids.set(id, ids.size + 1);
+        return ids.get(id);
+    };
+}
+
+// Number rounding for one export: to REKEYED_DECIMALS places, or the identity
+function numberMapper(round) {
+    if (!round) return value => value;
+
+    const scale = 10 ** REKEYED_DECIMALS;
+    return value => value === null ? null : Math.round(value * scale) / scale;
+}
+
+// Timestamp transform: uniform jitter of ±jitter seconds, drawn once per `key`
+// (a rumor, or a token's credibility record), then rounding down to the bucket
+function timeMapper({ jitter, bucket }) {
+    const offsets = new Map();
+    return (time, key) => {
+        if (time === null) return null;
+        if (!offsets.has(key)) {
+            offsets.set(key, jitter > 0 ? crypto.randomInt(-jitter * 1000, jitter * 1000 + 1) : 0);
+        }
+        let value = time + offsets.get(key);
+        if (bucket > 0) value = Math.floor(value / (bucket * 1000)) * bucket * 1000;
+        return Math.max(0, value);
+    };
+}
+
+// tag -> number object from a stored JSON column, with each number mapped
+function tagNumbers(text, number) {
+    const values = text ? JSON.parse(text) : {};
+    Object.keys(values).forEach(tag => {
+        values[tag] = number(values[tag]);
+    });
+    return values;
+}
+
+// Build a dump of all visible rumors and everything attached to them (deleted and quarantined rumors are left out)
+function exportData(db, { rekey = true, jitter = 0, bucket = 0, now = Date.now() } = {}) {
+    const token = tokenMapper(rekey);
+    const unlinked = rekey ? () => crypto.randomBytes(32).toString('hex') : token;
+    const rumorId = idMapper(rekey);
+    const voteId = idMapper(rekey);
+    const evidenceId = idMapper(rekey);
+    const number = numberMapper(rekey);
+    const time = timeMapper({ jitter, bucket });
+    const version = get(db, 'SELECT MAX(version) AS version FROM schema_version');
+
+    const rumorRows = all(db, `
+        SELECT id, content, timestamp, status, is_archived, submitter_token, submission_weight, settled_at, settled_direction,
+               expires_at, edited_at, resolved_at, verify_count, dispute_count, trust_score
+        FROM rumors WHERE is_deleted = 0 AND status != 'QUARANTINED' ORDER BY id ASC
+    `);
+    const tagsByRumor = tags.listFor(db, rumorRows.map(rumor => rumor.id));
+
+    const rumors = rumorRows.map(({ submitter_token: submitter, ...rumor }) => ({
+        ...rumor,
+        id: rumorId(rumor.id),
+        submission_weight: number(rumor.submission_weight),
+        trust_score: number(rumor.trust_score),
+        timestamp: time(rumor.timestamp, rumor.id),
+        settled_at: time(rumor.settled_at, rumor.id),
+        expires_at: time(rumor.expires_at, rumor.id),
+        edited_at: time(rumor.edited_at, rumor.id),
+        resolved_at: time(rumor.resolved_at, rumor.id),
+        submitter: rekey ? null : token(submitter),
+        tags: tagsByRumor.get(rumor.id)
+    }));
+
+    const votes = all(db, `
+        SELECT v.id, v.rumor_id, v.hashed_token, v.vote_type, v.timestamp, v.vote_weight, v.confidence, v.probation, v.quarantine_status
+        FROM votes v JOIN rumors r ON r.id = v.rumor_id
+        WHERE r.is_deleted = 0 AND r.status != 'QUARANTINED' ORDER BY v.id ASC
+    `).map(({ hashed_token: hashedToken, ...vote }) => ({
+        ...vote,
+        id: voteId(vote.id),
+        rumor_id: rumorId(vote.rumor_id),
+        token: token(hashedToken),
+        timestamp: time(vote.timestamp, vote.rumor_id),
+        vote_weight: number(vote.vote_weight)
+    }));
+
+    const evidence = all(db, `
+        SELECT e.id, e.rumor_id, e.vote_id, e.hashed_token, e.type, e.url, e.text, e.file_name, e.mime_type, e.size, e.initial,
+               e.created_at
+        FROM evidence e JOIN rumors r ON r.id = e.rumor_id
+        WHERE r.is_deleted = 0 AND r.status != 'QUARANTINED' AND (e.vote_id IS NULL OR e.vote_id IN (SELECT id FROM votes))
+        ORDER BY e.id ASC
+    `).map(({ hashed_token: hashedToken, ...item }) => ({
+        ...item,
+        id: evidenceId(item.id),
+        rumor_id: rumorId(item.rumor_id),
+        vote_id: voteId(item.vote_id),
+        token: item.vote_id === null ? unlinked(hashedToken) : token(hashedToken),
+        file_name: rekey ? null : item.file_name,
+        created_at: time(item.created_at, item.rumor_id)
+    }));
+
+    const credibility = all(db, `
+        SELECT hashed_token, credibility, total_votes, aligned_votes, tag_credibility, created_at, last_updated
+        FROM user_credibility ORDER BY created_at ASC, hashed_token ASC
+    `).map(({ hashed_token: hashedToken, ...user }) => ({
+        ...user,
+        token: token(hashedToken),
+        credibility: number(user.credibility),
+        tag_credibility: tagNumbers(user.tag_credibility, number),
+        created_at: time(user.created_at, hashedToken),
+        last_updated: time(user.last_updated, hashedToken)
+    }));
+
+    const settlements = all(db, `
+        SELECT l.vote_id, v.rumor_id, l.hashed_token, l.aligned, l.delta, l.credibility_after, l.tag_deltas, l.created_at
+        FROM credibility_ledger l JOIN votes v ON v.id = l.vote_id JOIN rumors r ON r.id = v.rumor_id
+        WHERE l.reason = 'settlement' AND l.reversed_by IS NULL AND r.is_deleted = 0 AND r.status != 'QUARANTINED'
+        ORDER BY l.id ASC
+    `).map(({ hashed_token: hashedToken, rumor_id: entryRumorId, ...entry }) => ({
+        ...entry,
+        vote_id: voteId(entry.vote_id),
+        token: token(hashedToken),
+        delta: number(entry.delta),
+        credibility_after: number(entry.credibility_after),
+        tag_deltas: tagNumbers(entry.tag_deltas, number),
+        created_at: time(entry.created_at, entryRumorId)
+    }));
+
+    return {
+        format: FORMAT,
+        version: VERSION,
+        schema_version: version ? version.version : null,
+        exported_at: now,
+        tokens: rekey ? 'rekeyed' : 'original',
+        timestamp_jitter_seconds: jitter,
+        timestamp_bucket_seconds: bucket,
+        rumors,
+        votes,
+        evidence,
+        credibility,
+        settlements
+    };
+}
+
+function serialize(dump, format) {
+    if (format === 'json') return JSON.stringify(dump, null, 2);
+
+    const header = { type: 'header' };
+    Object.keys(dump).filter(key => !SECTIONS[key]).forEach(key => {
+        header[key] = dump[key];
+    });
+    const lines = [JSON.stringify(header)];
+    Object.entries(SECTIONS).forEach(([section, type]) => {
+        dump[section].forEach(record => lines.push(JSON.stringify({ type, ...record })));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Parse JSON or NDJSON text back into the dump shape; returns { error } or { dump }
+function parse(text) {
+    try {
+        const whole = JSON.parse(text);
+        if (whole && whole.type !== 'header') return { dump: whole };
+    } catch (e) {
+        // Not a single JSON document: read it as NDJSON
+    }
+
+    const lines = text.split('\n').filter(line => line.trim().length > 0);
+    const records = [];
+    for (let i = 0; i < lines.length; i++) {
+        try {
+            records.push(JSON.parse(lines[i]));
+        } catch (e) {
+            return { error: `Line ${i + 1} is not valid JSON` };
+        }
+    }
+    if (records.length === 0 || !records[0] || records[0].type !== 'header') {
+        return { error: 'Dump must start with a header record' };
+    }
+
+    const dump = { ...records[0] };
+    delete dump.type;
+    const types = Object.entries(SECTIONS);
+    types.forEach(([section]) => {
+        dump[section] = [];
+    });
+    for (let i = 1; i < records.length; i++) {
+        const { type, ...record } = records[i] || {};
+        const entry = types.find(([, recordType]) => recordType === type);
+        if (!entry) {
+            return { error: `Line ${i + 1} has unknown record type` };
+        }
+        dump[entry[0]].push(record);
+    }
+    return { dump };
+}
+
+const is = {
+    id: value => Number.isInteger(value) && value > 0,
+    time: value => Number.isInteger(value) && value >= 0,
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    count: value => Number.isInteger(value) && value >= 0,
+    flag: value => value === 0 || value === 1,
+    token: value => typeof value === 'string' && value.length > 0 && value.length <= 128,
+    text: value => typeof value === 'string',
+    content: value => typeof value === 'string' && value.trim().length > 0,
+    nullable: check => value => value === null || check(value),
+    optional: check => value => value === undefined || check(value),
+    oneOf: list => value => list.includes(value),
+    tagValues: value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        Object.entries(value).every(([tag, number]) => tags.isTag(tag) && typeof number === 'number' && Number.isFinite(number))
+};
+
+// Fields read on import, per section; anything else (e.g. derived counts) is ignored
+const FIELDS = {
+    rumors: {
+        id: is.id,
+        content: is.content,
+        timestamp: is.time,
+        status: is.oneOf(STATUSES),
+        is_archived: is.flag,
+        submitter: is.nullable(is.token),
+        submission_weight: is.nullable(is.number),
+        settled_at: is.nullable(is.time),
+        settled_direction: is.nullable(is.text),
+        expires_at: is.optional(is.nullable(is.time)),
+        edited_at: is.optional(is.nullable(is.time)),
+        resolved_at: is.optional(is.nullable(is.time)),
+        tags: value => Array.isArray(value) && value.every(tags.isTag)
+    },
+    votes: {
+        id: is.id,
+        rumor_id: is.id,
+        token: is.token,
+        vote_type: is.oneOf(['verify', 'dispute']),
+        timestamp: is.time,
+        vote_weight: is.number,
+        confidence: is.number,
+        probation: is.flag,
+        quarantine_status: is.nullable(is.text)
+    },
+    evidence: {
+        id: is.id,
+        rumor_id: is.id,
+        vote_id: is.nullable(is.id),
+        token: is.token,
+        type: is.oneOf(['url', 'quote', 'image']),
+        url: is.nullable(is.text),
+        text: is.nullable(is.text),
+        file_name: is.nullable(is.text),
+        mime_type: is.nullable(is.text),
+        size: is.nullable(is.count),
+        initial: is.optional(is.flag),
+        created_at: is.time
+    },
+    credibility: {
+        token: is.token,
+        credibility: is.number,
+        total_votes: is.count,
+        aligned_votes: is.count,
+        tag_credibility: is.tagValues,
+        created_at: is.time,
+        last_updated: is.time
+    },
+    settlements: {
+        vote_id: is.id,
+        token: is.token,
+        aligned: is.flag,
+        delta: is.number,
+        credibility_after: is.number,
+        tag_deltas: is.tagValues,
+        created_at: is.time
+    }
+};
+
+// Check a parsed dump's header, fields and references; returns a list of problems
+function validate(dump) {
+    if (!dump || typeof dump !== 'object' || dump.format !== FORMAT) {
+        return [`Not a ${FORMAT} file`];
+    }
+    if (dump.version !== VERSION) {
+        return [`Unsupported dump version ${dump.version} (this code reads version ${VERSION})`];
+    }
+
+    const errors = [];
+    Object.entries(FIELDS).forEach(([section, fields]) => {
+        if (!Array.isArray(dump[section])) {
+            errors.push(`${section} must be an array`);
+            return;
+        }
+        dump[section].forEach((record, i) => {
+            if (!record || typeof record !== 'object') {
+                errors.push(`${section}[${i}] must be an object`);
+                return;
+            }
+            Object.entries(fields).forEach(([field, check]) => {
+                if (!check(record[field])) errors.push(`${section}[${i}].${field} is missing or invalid`);
+            });
+        });
+    });
+    if (errors.length > 0) return errors;
+
+    const unique = (section, key) => {
+        const seen = new Set();
+        dump[section].forEach((record, i) => {
+            const value = key(record);
+            if (seen.has(value)) errors.push(`${section}[${i}] is a duplicate`);
+            seen.add(value);
+        });
+        return seen;
+    };
+    const rumorIds = unique('rumors', rumor => rumor.id);
+    unique('votes', vote => vote.id);
+    unique('votes', vote => `${vote.rumor_id}:${vote.token}`);
+    unique('evidence', item => item.id);
+    unique('credibility', user => user.token);
+    unique('settlements', entry => entry.vote_id);
+
+    const voteRumors = new Map(dump.votes.map(vote => [vote.id, vote.rumor_id]));
+    dump.votes.forEach((vote, i) => {
+        if (!rumorIds.has(vote.rumor_id)) errors.push(`votes[${i}] refers to unknown rumor ${vote.rumor_id}`);
+    });
+    dump.evidence.forEach((item, i) => {
+        if (!rumorIds.has(item.rumor_id)) errors.push(`evidence[${i}] refers to unknown rumor ${item.rumor_id}`);
+        if (item.vote_id !== null && voteRumors.get(item.vote_id) !== item.rumor_id) {
+            errors.push(`evidence[${i}] refers to unknown vote ${item.vote_id} on rumor ${item.rumor_id}`);
+        }
+    });
+
+    // A credit belongs to a vote on a settled rumor and to the token that cast it
+    const votes = new Map(dump.votes.map(vote => [vote.id, vote]));
+    const settled = new Set(dump.rumors.filter(rumor => rumor.settled_at !== null).map(rumor => rumor.id));
+    dump.settlements.forEach((entry, i) => {
+        const vote = votes.get(entry.vote_id);
+        if (!vote || vote.token !== entry.token) {
+            errors.push(`settlements[${i}] refers to unknown vote ${entry.vote_id} by this token`);
+        } else if (!settled.has(vote.rumor_id)) {
+            errors.push(`settlements[${i}] credits a vote on unsettled rumor ${vote.rumor_id}`);
+        }
+    });
+    return errors;
+}
+
+// Load a validated dump into an empty database, keeping its ids, then recompute
+// every rumor's counts and trust score from the imported votes and evidence.
+// Settlement credits become ledger entries; imported credibility already includes them.
+// Returns { errors } or { counts, rebuilt }.
+function importData(db, dump) {
+    const errors = validate(dump);
+    if (errors.length > 0) {
+        return { errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+    }
+
+    const existing = get(db, `
+        SELECT (SELECT COUNT(*) FROM rumors) + (SELECT COUNT(*) FROM votes) + (SELECT COUNT(*) FROM user_credibility) AS total
+    `);
+    if (existing.total > 0) {
+        return { errors: ['Import needs an empty database (it already has rumors, votes or credibility)'] };
+    }
+
+    dump.rumors.forEach(rumor => {
+        db.run(`
+            INSERT INTO rumors (id, content, timestamp, status, is_archived, is_deleted, submitter_token, submission_weight,
+                                settled_at, settled_direction, expires_at, edited_at, resolved_at)
+            VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?)
+        `, [rumor.id, rumor.content, rumor.timestamp, rumor.status, rumor.is_archived, rumor.submitter,
+            rumor.submission_weight, rumor.settled_at, rumor.settled_direction,
+            rumor.expires_at || null, rumor.edited_at || null, rumor.resolved_at || null]);
+        tags.store(db, rumor.id, rumor.tags);
+    });
+
+    dump.votes.forEach(vote => {
+        db.run(`
+            INSERT INTO votes (id, rumor_id, hashed_token, vote_type, timestamp, vote_weight, confidence, probation, quarantine_status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [vote.id, vote.rumor_id, vote.token, vote.vote_type, vote.timestamp, vote.vote_weight, vote.confidence,
+            vote.probation, vote.quarantine_status]);
+    });
+
+    dump.evidence.forEach(item => {
+        db.run(`
+            INSERT INTO evidence (id, rumor_id, vote_id, hashed_token, type, url, text, file_name, mime_type, size, initial, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [item.id, item.rumor_id, item.vote_id, item.token, item.type, item.url, item.text, item.file_name,
+            item.mime_type, item.size, item.initial === undefined ? 1 : item.initial, item.created_at]);
+    });
+
+    dump.credibility.forEach(user => {
+        db.run(`
+            INSERT INTO user_credibility (hashed_token, credibility, total_votes, aligned_votes, tag_credibility, created_at, last_updated)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [user.token, user.credibility, user.total_votes, user.aligned_votes,
+            Object.keys(user.tag_credibility).length > 0 ? JSON.stringify(user.tag_credibility) : null,
+            user.created_at, user.last_updated]);
+    });
+
+    const voteRumors = new Map(dump.votes.map(vote => [vote.id, vote.rumor_id]));
+    dump.settlements.forEach(entry => {
+        db.run(`
+            INSERT INTO credibility_ledger (hashed_token, rumor_id, vote_id, reason, aligned, delta, credibility_after, tag_deltas, created_at)
+            VALUES (?, ?, ?, 'settlement', ?, ?, ?, ?, ?)
+        `, [entry.token, voteRumors.get(entry.vote_id), entry.vote_id, entry.aligned, entry.delta, entry.credibility_after,
+            Object.keys(entry.tag_deltas).length > 0 ? JSON.stringify(entry.tag_deltas) : null, entry.created_at]);
+    });
+
+    const report = trust.rebuildAll(db, { apply: true });
+    const counts = {};
+    Object.keys(SECTIONS).forEach(section => {
+        counts[section] = dump[section].length;
+    });
+    return { counts, rebuilt: report.changed };
+}
+
+module.exports = {
+    FORMATS,
+    parseExportOptions,
+    exportData,
+    serialize,
+    parse,
+    validate,
+    importData
+};
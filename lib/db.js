@@ -0,0 +1,266 @@
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const config = require('./config');
+const migrations = require('./migrate');
+const { get } = require('./sql');
+
+// SQLite database (sql.js, in memory) persisted crash-safely.
+// Every committed write is first appended to a journal of the SQL statements
+// it ran (fsynced, one JSON line per transaction, numbered). The full
+// database file is only rewritten as a snapshot a few seconds later, via a
+// temp file and rename, and records the last journal entry it contains. On
+// startup the snapshot is loaded and newer journal entries are replayed, so
+// a crash at any point loses nothing that was committed. Replay relies on
+// statements being deterministic: timestamps are always bound parameters.
+// Side effects outside the database (events, in-memory rankings) are queued
+// with afterCommit and only run once the transaction has committed.
+
+const JOURNAL_PATH = `${config.DB_PATH}-journal`;
+const SNAPSHOT_TMP_PATH = `${config.DB_PATH}.tmp`;
+
+let db = null;
+let execute = null; // sql.js run() without journaling
+let journalFd = null;
+let sequence = 0; // Last journal entry number
+let pending = null; // Statements of the open transaction, or null
+let committed = []; // Callbacks waiting for the open transaction to commit
+let snapshotTimer = null;
+
+function isWrite(sql) {
+    return !/^\s*SELECT\b/i.test(sql);
+}
+
+function appendJournal(statements) {
+    const entry = JSON.stringify({ seq: sequence + 1, statements });
+    fs.writeSync(journalFd, `${entry}\n`);
+    fs.fsyncSync(journalFd);
+    sequence += 1;
+}
+
+// Journal entries after the snapshot's checkpoint; a torn last line (crash mid-append) is ignored
+function readJournal(checkpoint) {
+    if (!fs.existsSync(JOURNAL_PATH)) return [];
+
+    const lines = fs.readFileSync(JOURNAL_PATH, 'utf8').split('\n').filter(Boolean);
+    const entries = [];
+    lines.forEach((line, i) => {
+        try {
+            entries.push(JSON.parse(line));
+        } catch (e) {
+            if (i < lines.length - 1) {
+                throw new Error(`Journal ${JOURNAL_PATH} is corrupt at entry ${i + 1}`);
+            }
+            console.warn('Ignoring incomplete last journal entry');
+        }
+    });
+    return entries.filter(entry => entry.seq > checkpoint);
+}
+
+function inTransaction() {
+    return pending !== null;
+}
+
+function beginTransaction() {
+    if (inTransaction()) throw new Error('Transaction already open');
+    execute('BEGIN');
+    pending = [];
+    committed = [];
+}
+
+// Run fn once the open transaction commits (dropped if it rolls back), or now if none is open
+function afterCommit(fn) {
+    if (inTransaction()) {
+        committed.push(fn);
+    } else {
+        fn();
+    }
+}
+
+// The transaction is already committed, so a failing callback is only logged
+function runCommitted() {
+    const callbacks = committed;
+    committed = [];
+    callbacks.forEach(fn => {
+        try {
+            fn();
+        } catch (error) {
+            console.error('Error in after-commit callback:', error);
+        }
+    });
+}
+
+// Journal the transaction, then commit it; if the journal cannot be written nothing is committed
+function commitTransaction() {
+    if (!inTransaction()) throw new Error('No open transaction');
+    const statements = pending;
+    pending = null;
+
+    if (statements.length === 0) {
+        execute('COMMIT');
+        runCommitted();
+        return;
+    }
+
+    try {
+        appendJournal(statements);
+    } catch (error) {
+        committed = [];
+        execute('ROLLBACK');
+        throw error;
+    }
+    execute('COMMIT');
+    scheduleSnapshot();
+    runCommitted();
+}
+
+function rollbackTransaction() {
+    if (!inTransaction()) return;
+    pending = null;
+    committed = [];
+    execute('ROLLBACK');
+}
+
+// Run fn in a transaction (joining the open one, if any): committed if it returns, rolled back if it throws
+function transaction(fn) {
+    if (inTransaction()) return fn();
+
+    beginTransaction();
+    try {
+        const result = fn();
+        commitTransaction();
+        return result;
+    } catch (error) {
+        rollbackTransaction();
+        throw error;
+    }
+}
+
+// Rewrite the database file atomically and empty the journal it now contains
+function writeSnapshot() {
+    if (!db || inTransaction() || journalFd === null) return;
+
+    execute("INSERT OR REPLACE INTO storage_meta (key, value) VALUES ('journal_seq', ?)", [sequence]);
+    const data = db.export();
+
+    const fd = fs.openSync(SNAPSHOT_TMP_PATH, 'w');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(SNAPSHOT_TMP_PATH, config.DB_PATH);
+
+    fs.ftruncateSync(journalFd, 0);
+    fs.fsyncSync(journalFd);
+}
+
+// Batch snapshots: at most one per SNAPSHOT_DELAY however many commits happen meanwhile
+function scheduleSnapshot() {
+    if (snapshotTimer) return;
+    snapshotTimer = setTimeout(() => {
+        snapshotTimer = null;
+        try {
+            writeSnapshot();
+        } catch (error) {
+            console.error('Error writing database snapshot:', error); // The journal still has everything
+        }
+    }, config.SNAPSHOT_DELAY);
+    snapshotTimer.unref();
+}
+
+// Open the database file (or create it) and bring the schema up to date.
+// With `migrate` false pending migrations are an error (unless `allowPending`,
+// for inspecting the schema) and have to be applied with `node cli.js migrate`.
+// `readOnly` opens it for inspection only: nothing is migrated and neither the
+// file nor the journal is touched (writes stay in memory and are dropped).
+async function initDatabase({ migrate = config.AUTO_MIGRATE, allowPending = false, readOnly = false } = {}) {
+    const SQL = await initSqlJs();
+
+    // Load existing database or create new one
+    if (fs.existsSync(config.DB_PATH)) {
+        const buffer = fs.readFileSync(config.DB_PATH);
+        db = new SQL.Database(buffer);
+    } else {
+        db = new SQL.Database();
+    }
+    execute = db.run.bind(db);
+
+    db.run(`
+    CREATE TABLE IF NOT EXISTS storage_meta (
+      key TEXT PRIMARY KEY,
+      value INTEGER
+    )
+  `);
+
+    // Replay commits made after the last snapshot
+    const checkpoint = get(db, "SELECT value FROM storage_meta WHERE key = 'journal_seq'");
+    sequence = checkpoint ? checkpoint.value : 0;
+    const entries = readJournal(sequence);
+    entries.forEach(entry => {
+        execute('BEGIN');
+        try {
+            entry.statements.forEach(([sql, params]) => execute(sql, params));
+            execute('COMMIT');
+        } catch (error) {
+            execute('ROLLBACK');
+            throw new Error(`Replaying journal entry ${entry.seq} failed: ${error.message}`);
+        }
+        sequence = entry.seq;
+    });
+    if (entries.length > 0) {
+        console.log(`✓ Replayed ${entries.length} journal entries`);
+    }
+
+    if (readOnly) return db;
+
+    // Migrations run after replay, on the state the journal was written against: a
+    // snapshot is written right after migrating, before anything else is journaled
+    if (migrate) {
+        migrations.migrate(db).forEach(migration => console.log(`✓ Applied migration ${migration.name}`));
+    } else if (!allowPending) {
+        const todo = migrations.pending(db);
+        if (todo.length > 0) {
+            throw new Error(`Database needs migrations (${todo.map(migration => migration.name).join(', ')}); run: node cli.js migrate`);
+        }
+    }
+
+    // From here on every write is journaled; writes outside a transaction commit on their own
+    db.run = (sql, params) => {
+        if (!isWrite(sql)) return execute(sql, params);
+        if (!inTransaction()) return transaction(() => db.run(sql, params));
+
+        execute(sql, params);
+        pending.push([sql, params || []]);
+        return db;
+    };
+
+    journalFd = fs.openSync(JOURNAL_PATH, 'a');
+    writeSnapshot();
+    return db;
+}
+
+// Write a final snapshot and close the journal (call on shutdown)
+function closeDatabase() {
+    if (!db) return;
+    clearTimeout(snapshotTimer);
+    snapshotTimer = null;
+    rollbackTransaction();
+    if (journalFd !== null) {
+        writeSnapshot();
+        fs.closeSync(journalFd);
+        journalFd = null;
+    }
+    db = null;
+}
+
+module.exports = {
+    initDatabase,
+    transaction,
+    beginTransaction,
+    commitTransaction,
+    rollbackTransaction,
+    inTransaction,
+    afterCommit,
+    closeDatabase
+};
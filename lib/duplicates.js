@@ -0,0 +1,130 @@
+const config = require('./config');
+const settlement = require('./settlement');
+const { all, get } = require('./sql');
+const { COUNTED_VOTE } = require('./sybil');
+
+// Near-duplicate detection and merging.
+// Rumors are compared as sets of shingles: their content words, lowercased,
+// crudely stemmed and without stop words, so reworded or reordered versions
+// of the same story still overlap. A new rumor is checked against recent
+// ACTIVE rumors before it is accepted; an admin can then fold a duplicate
+// into its canonical rumor.
+
+const MAX_MATCHES = 5;
+const STEM_LENGTH = 6;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'to', 'of', 'in', 'on', 'at',
+    'for', 'from', 'by', 'with', 'and', 'or', 'but', 'so', 'this', 'that', 'it', 'its', 'as', 'has',
+    'have', 'had', 'will', 'would', 'can', 'could', 'just', 'till', 'until', 'next', 'today',
+    'tonight', 'heard', 'apparently', 'i', 'we', 'they', 'he', 'she', 'my', 'our', 'their'
+]);
+
+// Common English suffixes are dropped and long words cut short, so
+// "postponed", "postpones" and "postponing" become the same shingle
+function stem(word) {
+    return word.replace(/(ing|ed|es|s)$/, '').slice(0, STEM_LENGTH) || word;
+}
+
+function shingles(text) {
+    const words = text.toLowerCase()
+        .replace(/-/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word && !STOP_WORDS.has(word));
+    return new Set(words.map(stem));
+}
+
+// Jaccard similarity of two shingle sets, in [0, 1]
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(shingle => {
+        if (b.has(shingle)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+// Recent ACTIVE rumors at least DUPLICATE_THRESHOLD similar to `content`, most similar first
+function findSimilar(db, content, { excludeId = null, now = Date.now() } = {}) {
+    const target = shingles(content);
+    const candidates = all(db, `
+        SELECT id, content, timestamp, verify_count, dispute_count, trust_score
+        FROM rumors
+        WHERE status = 'ACTIVE' AND is_deleted = 0 AND timestamp >= ? AND id != ?
+    `, [now - config.DUPLICATE_WINDOW, excludeId === null ? -1 : excludeId]);
+
+    return candidates
+        .map(rumor => ({ ...rumor, similarity: similarity(target, shingles(rumor.content)) }))
+        .filter(rumor => rumor.similarity >= config.DUPLICATE_THRESHOLD)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, MAX_MATCHES);
+}
+
+// Fold a duplicate into its canonical rumor. Votes move over unless their token
+// already voted on (or submitted) the canonical rumor, in which case the
+// canonical vote stands and the duplicate's is dropped. Credits the duplicate
+// already paid out are reversed first; moved votes are credited again when the
+// canonical rumor settles. The duplicate is hidden and points at the canonical,
+// which must be ACTIVE and not merged itself, so votes never land on a rumor that
+// no longer takes them and merges do not chain.
+// Returns { moved, dropped, reversed } with the moved vote rows, or { error }.
+function merge(db, duplicateId, canonicalId, now = Date.now()) {
+    if (duplicateId === canonicalId) {
+        return { error: 'A rumor cannot be merged into itself' };
+    }
+
+    const duplicate = get(db, 'SELECT id, is_deleted FROM rumors WHERE id = ?', [duplicateId]);
+    const canonical = get(db, 'SELECT id, submitter_token, is_deleted, status, merged_into FROM rumors WHERE id = ?', [canonicalId]);
+    if (canonical && canonical.merged_into !== null) {
+        return { error: `The canonical rumor was itself merged into rumor ${canonical.merged_into}; merge into that one` };
+    }
+    if (!duplicate || duplicate.is_deleted || !canonical || canonical.is_deleted) {
+        return { error: 'Rumor not found, deleted or already merged' };
+    }
+    if (canonical.status !== 'ACTIVE') {
+        return { error: `The canonical rumor must be active (it is ${canonical.status})` };
+    }
+
+    const reversed = settlement.unsettle(db, duplicateId, now);
+
+    const votes = all(db, `
+        SELECT v.id, v.hashed_token, v.vote_weight, v.confidence, v.timestamp, ${COUNTED_VOTE} AS counted,
+               EXISTS (SELECT 1 FROM votes c WHERE c.rumor_id = ? AND c.hashed_token = v.hashed_token) AS voted_on_canonical
+        FROM votes v WHERE v.rumor_id = ?
+    `, [canonicalId, duplicateId]);
+
+    const moved = [];
+    const dropped = [];
+    votes.forEach(vote => {
+        if (vote.voted_on_canonical || vote.hashed_token === canonical.submitter_token) {
+            dropped.push(vote);
+        } else {
+            moved.push(vote);
+        }
+    });
+
+    dropped.forEach(vote => {
+        db.run('DELETE FROM evidence WHERE vote_id = ?', [vote.id]);
+        db.run('DELETE FROM votes WHERE id = ?', [vote.id]);
+    });
+
+    moved.forEach(vote => {
+        db.run('UPDATE votes SET rumor_id = ? WHERE id = ?', [canonicalId, vote.id]);
+        db.run('UPDATE evidence SET rumor_id = ? WHERE vote_id = ?', [canonicalId, vote.id]);
+        db.run('UPDATE vote_changes SET rumor_id = ? WHERE rumor_id = ? AND hashed_token = ?', [canonicalId, duplicateId, vote.hashed_token]);
+    });
+
+    // The discussion carries over; pseudonyms are per rumor, so authors get their canonical-thread names
+    db.run('UPDATE comments SET rumor_id = ? WHERE rumor_id = ?', [canonicalId, duplicateId]);
+
+    db.run('UPDATE rumors SET is_deleted = 1, merged_into = ? WHERE id = ?', [canonicalId, duplicateId]);
+
+    return { moved, dropped, reversed };
+}
+
+module.exports = {
+    shingles,
+    similarity,
+    findSimilar,
+    merge
+};
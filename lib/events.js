@@ -0,0 +1,74 @@
+const { EventEmitter } = require('events');
+const { afterCommit } = require('./db');
+
+// In-memory event feed for real-time clients (SSE).
+// Events are numbered per server boot so a reconnecting client can resume
+// from its Last-Event-ID; ids from an older boot or beyond the backlog
+// window cannot be replayed and the client is told to resync instead.
+// An event published inside a transaction goes out once it commits, and not
+// at all if it rolls back.
+
+const BACKLOG_SIZE = 500;
+
+const bootId = Date.now().toString(36);
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const backlog = [];
+let sequence = 0;
+
+// Publish an event to all subscribers and remember it for replay (after the open transaction commits)
+function publish(type, data) {
+    afterCommit(() => emit(type, data));
+}
+
+function emit(type, data) {
+    sequence += 1;
+    const event = {
+        id: `${bootId}-${sequence}`,
+        seq: sequence,
+        type,
+        data,
+        timestamp: Date.now()
+    };
+
+    backlog.push(event);
+    if (backlog.length > BACKLOG_SIZE) {
+        backlog.shift();
+    }
+
+    emitter.emit('event', event);
+    return event;
+}
+
+// Events after lastEventId, or null if they can no longer be replayed
+function eventsSince(lastEventId) {
+    const match = /^([a-z0-9]+)-(\d+)$/.exec(String(lastEventId || ''));
+    if (!match || match[1] !== bootId) return null;
+
+    const lastSeq = parseInt(match[2], 10);
+    if (lastSeq > sequence) return null;
+    if (lastSeq === sequence) return [];
+
+    const oldest = backlog.length > 0 ? backlog[0].seq : sequence + 1;
+    if (lastSeq < oldest - 1) return null; // Gap: some events already dropped
+
+    return backlog.filter(event => event.seq > lastSeq);
+}
+
+// Register a listener; returns an unsubscribe function
+function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+}
+
+function lastEventId() {
+    return sequence > 0 ? `${bootId}-${sequence}` : null;
+}
+
+module.exports = {
+    publish,
+    eventsSince,
+    subscribe,
+    lastEventId
+};
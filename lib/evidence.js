@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const images = require('./images');
+const { afterCommit } = require('./db');
+const { all, placeholders } = require('./sql');
+
+// Evidence attached to rumors (by the submitter) and votes (by the voter):
+// source links, quoted text and small images. Images are stored on local
+// disk under a content hash after their metadata has been stripped, once the
+// transaction that records them has committed, so a rolled-back request
+// leaves no file behind.
+
+const MAX_URL_LENGTH = 2048;
+const MAX_QUOTE_LENGTH = 500;
+const TYPES = ['url', 'quote', 'image'];
+
+function parseUrl(value) {
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) return null;
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function parseItem(item) {
+    if (!item || !TYPES.includes(item.type)) {
+        return { error: `Evidence type must be one of: ${TYPES.join(', ')}` };
+    }
+
+    if (item.type === 'url') {
+        const url = parseUrl(item.url);
+        return url ? { item: { type: 'url', url } } : { error: 'Evidence URL must be a valid http(s) link' };
+    }
+
+    if (item.type === 'quote') {
+        const text = typeof item.text === 'string' ? item.text.trim() : '';
+        if (text.length === 0 || text.length > MAX_QUOTE_LENGTH) {
+            return { error: `Quoted evidence must be 1-${MAX_QUOTE_LENGTH} characters` };
+        }
+        const source = item.source !== undefined ? parseUrl(item.source) : null;
+        if (item.source !== undefined && !source) {
+            return { error: 'Quote source must be a valid http(s) link' };
+        }
+        return { item: { type: 'quote', text, url: source } };
+    }
+
+    if (typeof item.data !== 'string') {
+        return { error: 'Image evidence needs base64 data' };
+    }
+    const buffer = Buffer.from(item.data.replace(/^data:[^,]*,/, ''), 'base64');
+    if (buffer.length === 0 || buffer.length > config.EVIDENCE_MAX_IMAGE_BYTES) {
+        return { error: `Images must be under ${Math.floor(config.EVIDENCE_MAX_IMAGE_BYTES / 1024)} KB` };
+    }
+    const { error, mimeType, data } = images.sanitize(buffer);
+    if (error) return { error };
+    return { item: { type: 'image', mimeType, data } };
+}
+
+// Validate a request's evidence list; returns { error } or { items }
+function parseItems(list) {
+    if (list === undefined) return { items: [] };
+    if (!Array.isArray(list)) return { error: 'Evidence must be an array' };
+    if (list.length > config.EVIDENCE_MAX_ITEMS) {
+        return { error: `At most ${config.EVIDENCE_MAX_ITEMS} evidence items per request` };
+    }
+
+    const items = [];
+    for (const entry of list) {
+        const { error, item } = parseItem(entry);
+        if (error) return { error };
+        items.push(item);
+    }
+    return { items };
+}
+
+function imageName(item) {
+    const extension = item.mimeType === 'image/png' ? 'png' : 'jpg';
+    return `${crypto.createHash('sha256').update(item.data).digest('hex')}.${extension}`;
+}
+
+function saveImage(fileName, data) {
+    fs.mkdirSync(config.EVIDENCE_DIR, { recursive: true });
+    const filePath = path.join(config.EVIDENCE_DIR, fileName);
+    if (!fs.existsSync(filePath)) {
+        fs.writeFileSync(filePath, data);
+    }
+}
+
+// Store parsed items for a rumor (voteId null) or for a vote on it; `initial`
+// marks items sent with the rumor or vote itself, the only ones that earn the weight bonus
+function store(db, { rumorId, voteId = null, hashedToken, items, initial = true, now = Date.now() }) {
+    items.forEach(item => {
+        const fileName = item.type === 'image' ? imageName(item) : null;
+        if (fileName) afterCommit(() => saveImage(fileName, item.data));
+        db.run(`
+            INSERT INTO evidence (rumor_id, vote_id, hashed_token, type, url, text, file_name, mime_type, size, initial, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            rumorId,
+            voteId,
+            hashedToken,
+            item.type,
+            item.url || null,
+            item.text || null,
+            fileName,
+            item.mimeType || null,
+            item.data ? item.data.length : null,
+            initial ? 1 : 0,
+            now
+        ]);
+    });
+}
+
+// Public evidence for a set of rumors, keyed by rumor id. Items are labelled
+// by who attached them (submitter or the side of the vote), never by token.
+function listFor(db, rumorIds) {
+    const byRumor = new Map(rumorIds.map(id => [id, []]));
+    if (rumorIds.length === 0) return byRumor;
+
+    const rows = all(db, `
+        SELECT e.id, e.rumor_id, e.vote_id, e.type, e.url, e.text, e.file_name, e.mime_type, e.size, e.created_at,
+               v.vote_type
+        FROM evidence e
+        LEFT JOIN votes v ON v.id = e.vote_id
+        WHERE e.rumor_id IN (${placeholders(rumorIds)})
+        AND (e.vote_id IS NULL OR v.id IS NOT NULL)
+        ORDER BY e.id ASC
+    `, rumorIds);
+
+    rows.forEach(row => {
+        byRumor.get(row.rumor_id).push({
+            id: row.id,
+            type: row.type,
+            source: row.vote_id === null ? 'submitter' : row.vote_type,
+            url: row.url,
+            text: row.text,
+            image: row.file_name ? `/evidence/${row.file_name}` : null,
+            mime_type: row.mime_type,
+            size: row.size,
+            created_at: row.created_at
+        });
+    });
+    return byRumor;
+}
+
+module.exports = {
+    parseItems,
+    store,
+    listFor
+};
@@ -0,0 +1,130 @@
+const config = require('./config');
+const ledger = require('./ledger');
+const sybil = require('./sybil');
+const { all, get } = require('./sql');
+
+// Read-only view of a token's credibility: where it stands, how it got
+// there and what that means for the weight of its next vote. Nothing here
+// writes to the database, and unknown tokens get the defaults a new token
+// would start with.
+
+const EXCERPT_LENGTH = 80;
+
+function getUser(db, hashedToken) {
+    return get(db, `
+        SELECT credibility, total_votes, aligned_votes, tag_credibility, created_at, last_updated
+        FROM user_credibility WHERE hashed_token = ?
+    `, [hashedToken]);
+}
+
+// Current credibility summary; defaults for tokens the server has not seen
+function summary(db, hashedToken) {
+    const user = getUser(db, hashedToken);
+    if (!user) {
+        return {
+            known: false,
+            credibility: ledger.DEFAULT_CREDIBILITY,
+            total_votes: 0,
+            aligned_votes: 0,
+            alignment_rate: 0,
+            tag_credibility: {}
+        };
+    }
+
+    return {
+        known: true,
+        credibility: user.credibility,
+        total_votes: user.total_votes,
+        aligned_votes: user.aligned_votes,
+        alignment_rate: user.total_votes > 0 ? (user.aligned_votes / user.total_votes) : 0,
+        tag_credibility: ledger.tagCredibility(user),
+        created_at: user.created_at,
+        last_updated: user.last_updated
+    };
+}
+
+// Share of active tokens with lower credibility (ties count half), in [0, 100]
+function percentile(db, credibility, now = Date.now()) {
+    const counts = get(db, `
+        SELECT
+            SUM(CASE WHEN credibility < ? THEN 1 ELSE 0 END) AS below,
+            SUM(CASE WHEN credibility = ? THEN 1 ELSE 0 END) AS equal,
+            COUNT(*) AS total
+        FROM user_credibility WHERE last_updated >= ?
+    `, [credibility, credibility, now - config.ACTIVE_TOKEN_WINDOW]);
+
+    if (!counts.total) return null;
+    return 100 * ((counts.below || 0) + (counts.equal || 0) / 2) / counts.total;
+}
+
+// Ledger entries, newest first, with the rumor and vote they refer to
+function timeline(db, hashedToken, { limit, before }) {
+    const params = [hashedToken];
+    let where = 'l.hashed_token = ?';
+    if (before) {
+        where += ' AND l.id < ?';
+        params.push(before);
+    }
+    params.push(limit);
+
+    return all(db, `
+        SELECT l.id, l.created_at, l.reason, l.delta, l.credibility_after, l.tag_deltas, l.aligned, l.reversed_by,
+               l.rumor_id, r.content AS rumor_content, r.is_deleted AS rumor_deleted, r.settled_direction,
+               l.vote_id, v.vote_type, v.confidence
+        FROM credibility_ledger l
+        LEFT JOIN rumors r ON r.id = l.rumor_id
+        LEFT JOIN votes v ON v.id = l.vote_id
+        WHERE ${where}
+        ORDER BY l.id DESC
+        LIMIT ?
+    `, params).map(entry => ({
+        id: entry.id,
+        at: entry.created_at,
+        reason: entry.reason,
+        delta: entry.delta,
+        credibility_after: entry.credibility_after,
+        tag_deltas: entry.tag_deltas ? JSON.parse(entry.tag_deltas) : {},
+        reversed: entry.reversed_by !== null,
+        aligned: entry.aligned === null ? null : Boolean(entry.aligned),
+        rumor: entry.rumor_id === null ? null : {
+            id: entry.rumor_id,
+            excerpt: entry.rumor_content && !entry.rumor_deleted ? entry.rumor_content.slice(0, EXCERPT_LENGTH) : null,
+            deleted: Boolean(entry.rumor_deleted),
+            consensus: entry.settled_direction
+        },
+        vote: entry.vote_id === null ? null : {
+            id: entry.vote_id,
+            vote_type: entry.vote_type,
+            confidence: entry.confidence
+        }
+    }));
+}
+
+// Net credibility change per reason over the token's whole history
+function totalsByReason(db, hashedToken) {
+    return all(db, `
+        SELECT reason, COUNT(*) AS entries, SUM(delta) AS total_delta
+        FROM credibility_ledger WHERE hashed_token = ?
+        GROUP BY reason ORDER BY reason ASC
+    `, [hashedToken]);
+}
+
+// How the token's next vote would be weighted
+function voteWeight(db, hashedToken, credibility) {
+    const onProbation = sybil.isOnProbation(db, hashedToken);
+    const factor = sybil.probationFactor(onProbation);
+    return {
+        credibility,
+        probation: onProbation,
+        probation_factor: factor,
+        weight: credibility * factor
+    };
+}
+
+module.exports = {
+    summary,
+    percentile,
+    timeline,
+    totalsByReason,
+    voteWeight
+};
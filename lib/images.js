@@ -0,0 +1,129 @@
+// Image validation and metadata stripping for evidence uploads.
+// Only JPEG and PNG are accepted, recognised by their signature rather than
+// a client-supplied type. Everything that is not needed to display the
+// image (EXIF including GPS location, XMP, comments, text chunks,
+// timestamps) is removed by rewriting the file segment by segment.
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PNG chunks needed to render the image; all others are dropped
+const PNG_KEEP = new Set(['IHDR', 'PLTE', 'IDAT', 'IEND', 'tRNS', 'gAMA', 'cHRM', 'sRGB']);
+
+// JPEG application segments kept: APP0 (JFIF) and APP14 (Adobe colour transform)
+const JPEG_KEEP_APP = new Set([0xe0, 0xee]);
+
+function detectType(buffer) {
+    if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.length > PNG_SIGNATURE.length && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+        return 'image/png';
+    }
+    return null;
+}
+
+// Copy a JPEG up to its EOI without APP1-APP13, APP15 and COM segments; null if malformed
+function stripJpeg(buffer) {
+    const parts = [buffer.subarray(0, 2)]; // SOI
+    let offset = 2;
+    let sawScan = false;
+
+    while (offset < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) { // Fill byte
+            offset += 1;
+            continue;
+        }
+
+        // End of image: anything appended after it is dropped
+        if (marker === 0xd9) {
+            if (!sawScan) return null; // EOI before any image data
+            parts.push(buffer.subarray(offset, offset + 2));
+            return Buffer.concat(parts);
+        }
+
+        // Markers without a length field
+        if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            parts.push(buffer.subarray(offset, offset + 2));
+            offset += 2;
+            continue;
+        }
+
+        if (offset + 4 > buffer.length) return null;
+        const length = buffer.readUInt16BE(offset + 2);
+        const end = offset + 2 + length;
+        if (length < 2 || end > buffer.length) return null;
+
+        const isApp = marker >= 0xe0 && marker <= 0xef;
+        const isComment = marker === 0xfe;
+        if (!(isApp && !JPEG_KEEP_APP.has(marker)) && !isComment) {
+            parts.push(buffer.subarray(offset, end));
+        }
+        offset = end;
+
+        // Start of scan: entropy-coded data follows up to the next marker that is
+        // neither a stuffed 0xff00 nor a restart marker (progressive files have several scans)
+        if (marker === 0xda) {
+            let scanEnd = offset;
+            while (scanEnd + 1 < buffer.length && !(buffer[scanEnd] === 0xff && buffer[scanEnd + 1] !== 0x00
+                    && !(buffer[scanEnd + 1] >= 0xd0 && buffer[scanEnd + 1] <= 0xd7))) {
+                scanEnd += 1;
+            }
+            if (scanEnd + 1 >= buffer.length) return null; // No EOI
+            parts.push(buffer.subarray(offset, scanEnd));
+            offset = scanEnd;
+            sawScan = true;
+        }
+    }
+
+    return null; // No EOI
+}
+
+// Copy a PNG keeping only rendering chunks; null if malformed
+function stripPng(buffer) {
+    const parts = [PNG_SIGNATURE];
+    let offset = PNG_SIGNATURE.length;
+    let sawEnd = false;
+
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        if (end > buffer.length) return null;
+
+        if (PNG_KEEP.has(type)) {
+            parts.push(buffer.subarray(offset, end));
+        }
+        offset = end;
+
+        if (type === 'IEND') {
+            sawEnd = true;
+            break;
+        }
+    }
+
+    if (!sawEnd || parts.length < 3) return null;
+    return Buffer.concat(parts);
+}
+
+// Validate and strip an image; returns { error } or { mimeType, data }
+function sanitize(buffer) {
+    const mimeType = detectType(buffer);
+    if (!mimeType) {
+        return { error: 'Images must be JPEG or PNG' };
+    }
+
+    const data = mimeType === 'image/jpeg' ? stripJpeg(buffer) : stripPng(buffer);
+    if (!data) {
+        return { error: 'Image file is corrupt' };
+    }
+
+    return { mimeType, data };
+}
+
+module.exports = {
+    detectType,
+    sanitize
+};
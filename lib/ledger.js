@@ -0,0 +1,98 @@
+const { get, all } = require('./sql');
+
+// Credibility ledger: every change to a token's credibility goes through
+// here and is recorded with its reason, so history can be audited and
+// individual changes reversed later.
+
+const DEFAULT_CREDIBILITY = 0.1;
+const MIN_CREDIBILITY = 0.05;
+const MAX_CREDIBILITY = 3.0;
+
+function clamp(credibility) {
+    return Math.max(MIN_CREDIBILITY, Math.min(MAX_CREDIBILITY, credibility));
+}
+
+// Per-tag credibility of a user_credibility row as a tag -> credibility object
+function tagCredibility(user) {
+    return user && user.tag_credibility ? JSON.parse(user.tag_credibility) : {};
+}
+
+// Apply a credibility change and record it. `change(credibility, tag)` returns the
+// unclamped new value; it is applied to the overall credibility and then to the
+// credibility of each of `tags` (tags never seen before start at the default).
+// `counted` adds to total/aligned vote tallies (+1 or -1).
+// Returns the ledger entry id, or null if the token has no credibility row.
+function applyChange(db, hashedToken, change, { reason, rumorId = null, voteId = null, aligned = null, counted = 0, tags = [], now = Date.now() }) {
+    const user = get(db, 'SELECT credibility, total_votes, aligned_votes, tag_credibility FROM user_credibility WHERE hashed_token = ?', [hashedToken]);
+    if (!user) return null;
+
+    const credibility = clamp(change(user.credibility));
+    const delta = credibility - user.credibility;
+
+    const byTag = tagCredibility(user);
+    const tagDeltas = {};
+    tags.forEach(tag => {
+        const before = byTag[tag] !== undefined ? byTag[tag] : DEFAULT_CREDIBILITY;
+        byTag[tag] = clamp(change(before, tag));
+        tagDeltas[tag] = byTag[tag] - before;
+    });
+
+    db.run(`
+    UPDATE user_credibility 
+    SET credibility = ?, total_votes = ?, aligned_votes = ?, tag_credibility = ?, last_updated = ?
+    WHERE hashed_token = ?
+  `, [
+        credibility,
+        user.total_votes + counted,
+        user.aligned_votes + (aligned ? counted : 0),
+        Object.keys(byTag).length > 0 ? JSON.stringify(byTag) : null,
+        now,
+        hashedToken
+    ]);
+
+    db.run(`
+        INSERT INTO credibility_ledger (hashed_token, rumor_id, vote_id, reason, aligned, delta, credibility_after, tag_deltas, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        hashedToken, rumorId, voteId, reason, aligned === null ? null : (aligned ? 1 : 0), delta, credibility,
+        tags.length > 0 ? JSON.stringify(tagDeltas) : null, now
+    ]);
+
+    return get(db, 'SELECT last_insert_rowid() AS id').id;
+}
+
+// Undo a ledger entry by applying its opposite deltas; the original entry is marked reversed
+function reverseEntry(db, entry, { reason = 'reversal', now = Date.now() } = {}) {
+    const tagDeltas = entry.tag_deltas ? JSON.parse(entry.tag_deltas) : {};
+    const reversalId = applyChange(db, entry.hashed_token, (credibility, tag) => credibility - (tag ? tagDeltas[tag] : entry.delta), {
+        reason,
+        rumorId: entry.rumor_id,
+        voteId: entry.vote_id,
+        aligned: entry.aligned === null ? null : Boolean(entry.aligned),
+        counted: entry.reason === 'settlement' ? -1 : 0,
+        tags: Object.keys(tagDeltas),
+        now
+    });
+
+    db.run('UPDATE credibility_ledger SET reversed_by = ? WHERE id = ?', [reversalId, entry.id]);
+    return reversalId;
+}
+
+// Entries that are still in effect (not reversed, and not reversals themselves)
+function activeEntries(db, where, params) {
+    return all(db, `
+        SELECT * FROM credibility_ledger
+        WHERE reversed_by IS NULL AND reason != 'reversal' AND ${where}
+        ORDER BY id ASC
+    `, params);
+}
+
+module.exports = {
+    DEFAULT_CREDIBILITY,
+    MIN_CREDIBILITY,
+    MAX_CREDIBILITY,
+    tagCredibility,
+    applyChange,
+    reverseEntry,
+    activeEntries
+};
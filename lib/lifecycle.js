@@ -0,0 +1,106 @@
+const config = require('./config');
+const settlement = require('./settlement');
+const duplicates = require('./duplicates');
+const { all, get, placeholders } = require('./sql');
+const { COUNTED_VOTE } = require('./sybil');
+
+// Rumor lifecycle beyond ACTIVE/ARCHIVED.
+// - Expiry: a submitter may give a rumor a time-to-live; once it passes, the
+//   maintenance job moves the rumor to EXPIRED (read-only, like ARCHIVED).
+// - Corrections: within EDIT_GRACE of posting the submitter may reword the
+//   rumor slightly. Every vote cast before the edit is reset (removed, with
+//   any settlement credit reversed), since it judged the old wording.
+// - Resolution: once RESOLUTION_MIN_VOTES counted votes come from tokens with
+//   at least RESOLUTION_MIN_CREDIBILITY and RESOLUTION_SUPERMAJORITY of them
+//   agree, the rumor is CONFIRMED or DEBUNKED for good. Settlement then uses
+//   that outcome as its direction.
+
+const EXPIRED = 'EXPIRED';
+
+// Validate an optional TTL in hours; returns { error } or { expiresAt } (null without a TTL)
+function parseTtl(ttlHours, now = Date.now()) {
+    if (ttlHours === undefined || ttlHours === null) return { expiresAt: null };
+    if (typeof ttlHours !== 'number' || !Number.isFinite(ttlHours) || ttlHours <= 0 || ttlHours > config.MAX_TTL_HOURS) {
+        return { error: `ttlHours must be a number of hours between 0 and ${config.MAX_TTL_HOURS}` };
+    }
+    return { expiresAt: now + Math.round(ttlHours * 60 * 60 * 1000) };
+}
+
+// Apply a submitter's correction. Returns { error } or { votes } with the votes that were reset.
+function edit(db, rumor, content, now = Date.now()) {
+    if (rumor.status !== 'ACTIVE') {
+        return { error: 'Only active rumors can be edited' };
+    }
+    if (now - rumor.timestamp > config.EDIT_GRACE) {
+        return { error: `Rumors can only be edited within ${Math.round(config.EDIT_GRACE / 60000)} minutes of posting` };
+    }
+    if (content === rumor.content) {
+        return { error: 'The new text is the same as the current one' };
+    }
+    if (duplicates.similarity(duplicates.shingles(rumor.content), duplicates.shingles(content)) < config.EDIT_MIN_SIMILARITY) {
+        return { error: 'An edit can only correct the rumor, not replace it; post a new rumor instead' };
+    }
+
+    // Earlier votes judged the old wording: reverse their credits and drop them
+    const votes = all(db, `
+        SELECT id, vote_weight, confidence, timestamp, ${COUNTED_VOTE} AS counted
+        FROM votes WHERE rumor_id = ?
+    `, [rumor.id]);
+    settlement.unsettle(db, rumor.id, now);
+    if (votes.length > 0) {
+        const ids = votes.map(vote => vote.id);
+        db.run(`DELETE FROM evidence WHERE vote_id IN (${placeholders(ids)})`, ids);
+        db.run(`DELETE FROM votes WHERE id IN (${placeholders(ids)})`, ids);
+    }
+
+    db.run(`
+        UPDATE rumors SET content = ?, edited_at = ?, settled_at = NULL, settled_direction = NULL
+        WHERE id = ?
+    `, [content, now, rumor.id]);
+    db.run(`
+        INSERT INTO rumor_edits (rumor_id, previous_content, content, votes_reset, edited_at)
+        VALUES (?, ?, ?, ?, ?)
+    `, [rumor.id, rumor.content, content, votes.length, now]);
+
+    return { votes };
+}
+
+// A rumor's corrections, oldest first
+function editHistory(db, rumorId) {
+    return all(db, `
+        SELECT previous_content, content, votes_reset, edited_at FROM rumor_edits
+        WHERE rumor_id = ? ORDER BY id ASC
+    `, [rumorId]);
+}
+
+// Resolve an active rumor if its high-credibility voters reached a supermajority.
+// Returns { status, direction } when it was resolved now, otherwise null.
+function checkResolution(db, rumorId, now = Date.now()) {
+    const rumor = get(db, "SELECT id FROM rumors WHERE id = ? AND status = 'ACTIVE' AND is_deleted = 0", [rumorId]);
+    if (!rumor) return null;
+
+    const { verify, dispute } = get(db, `
+        SELECT COALESCE(SUM(v.vote_type = 'verify'), 0) AS verify, COALESCE(SUM(v.vote_type = 'dispute'), 0) AS dispute
+        FROM votes v JOIN user_credibility u ON u.hashed_token = v.hashed_token
+        WHERE v.rumor_id = ? AND ${COUNTED_VOTE} AND u.credibility >= ?
+    `, [rumorId, config.RESOLUTION_MIN_CREDIBILITY]);
+
+    const total = verify + dispute;
+    if (total < config.RESOLUTION_MIN_VOTES) return null;
+
+    let status = null;
+    if (verify / total >= config.RESOLUTION_SUPERMAJORITY) status = 'CONFIRMED';
+    else if (dispute / total >= config.RESOLUTION_SUPERMAJORITY) status = 'DEBUNKED';
+    if (!status) return null;
+
+    db.run('UPDATE rumors SET status = ?, is_archived = 1, resolved_at = ? WHERE id = ?', [status, now, rumorId]);
+    return { status, direction: settlement.OUTCOMES[status] };
+}
+
+module.exports = {
+    EXPIRED,
+    parseTtl,
+    edit,
+    editHistory,
+    checkResolution
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const config = require('./config');
+const ledger = require('./ledger');
+const { all, get } = require('./sql');
+const { COUNTED_VOTE } = require('./sybil');
+
+// Moving an identity to another device by linking two tokens.
+// The server only ever stores hashed tokens, and hashed tokens are not
+// secret (a rumor carries its submitter's), so control of a token is proven
+// with its raw value: the string the browser hashes. A link is two steps.
+// The new device asks for a challenge naming the old (retired) and new
+// (continuing) hashed tokens and sees what would move. It then answers with
+// both raw tokens; they are hashed and checked against the challenge, never
+// stored. Linking folds the old token into the new one: its rumors, votes,
+// evidence, comments, flags and reviews, and its credibility. The same
+// proof guards other per-token views, such as credibility history.
+
+const secret = crypto.randomBytes(32); // Per boot, like proof-of-work challenges
+const spent = new Map(); // challenge -> expiresAt
+
+const MAX_RAW_TOKEN_LENGTH = 256;
+
+function sign(fromToken, toToken, expiresAt) {
+    return crypto.createHmac('sha256', secret).update(`${fromToken}:${toToken}:${expiresAt}`).digest('hex');
+}
+
+function hashToken(rawToken) {
+    return crypto.createHash('sha256').update(rawToken).digest('hex');
+}
+
+// Whether `rawToken` is the raw value behind `hashedToken`
+function provesToken(rawToken, hashedToken) {
+    if (typeof rawToken !== 'string' || rawToken.length === 0 || rawToken.length > MAX_RAW_TOKEN_LENGTH) {
+        return false;
+    }
+    const expected = Buffer.from(hashedToken.toLowerCase());
+    const provided = Buffer.from(hashToken(rawToken));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+// What a token holds: credibility (null if the server has not seen it) and its rumors and votes
+function holdings(db, hashedToken) {
+    const user = get(db, 'SELECT credibility FROM user_credibility WHERE hashed_token = ?', [hashedToken]);
+    const { rumors } = get(db, 'SELECT COUNT(*) AS rumors FROM rumors WHERE submitter_token = ? AND is_deleted = 0', [hashedToken]);
+    const { votes } = get(db, 'SELECT COUNT(*) AS votes FROM votes WHERE hashed_token = ?', [hashedToken]);
+    return { credibility: user ? user.credibility : null, rumors, votes };
+}
+
+// Challenge for linking `fromToken` into `toToken` (both hashed), with a preview of both.
+// Returns { error } or { challenge, expiresAt, from, to }.
+function issueChallenge(db, fromToken, toToken, now = Date.now()) {
+    if (fromToken === toToken) {
+        return { error: 'A token cannot be linked to itself' };
+    }
+
+    const from = holdings(db, fromToken);
+    if (from.credibility === null) {
+        return { error: 'The old token has no history to move' };
+    }
+
+    const expiresAt = now + config.LINK_CHALLENGE_TTL;
+    return {
+        challenge: `${expiresAt}.${sign(fromToken, toToken, expiresAt)}`,
+        expiresAt,
+        from,
+        to: holdings(db, toToken)
+    };
+}
+
+// Check the raw tokens against a challenge and spend it.
+// Returns { error } or { fromToken, toToken } with the hashed tokens.
+function verifyResponse(challenge, rawFromToken, rawToken, now = Date.now()) {
+    const raw = [rawFromToken, rawToken];
+    if (raw.some(token => typeof token !== 'string' || token.length === 0 || token.length > MAX_RAW_TOKEN_LENGTH)) {
+        return { error: 'Both raw tokens are required' };
+    }
+
+    const [expiresAtText, signature] = typeof challenge === 'string' ? challenge.split('.') : [];
+    const expiresAt = Number(expiresAtText);
+    if (!signature || !Number.isFinite(expiresAt)) {
+        return { error: 'Malformed challenge' };
+    }
+
+    const [fromToken, toToken] = raw.map(hashToken);
+    const expected = Buffer.from(sign(fromToken, toToken, expiresAt));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return { error: 'Challenge was not issued for these tokens' };
+    }
+
+    if (expiresAt < now) {
+        return { error: 'Challenge expired' };
+    }
+
+    if (spent.has(challenge)) {
+        return { error: 'Challenge already used' };
+    }
+
+    spent.set(challenge, expiresAt);
+    spent.forEach((expiry, key) => {
+        if (expiry < now) spent.delete(key);
+    });
+    return { fromToken, toToken };
+}
+
+// Fold `fromToken` into `toToken`. A vote is dropped, with any settlement credit it
+// earned reversed, if the other token voted on the same rumor (the continuing
+// token's vote stands) or submitted it. The new token keeps the higher of the two
+// credibilities, overall and per tag, through a 'link' ledger entry (gains are not
+// added up, so splitting a history across tokens and linking them earns nothing),
+// its earlier ledger entries follow it so later reversals still apply, and the
+// older of the two tokens' ages is kept. Returns { error } or { dropped, moved }
+// with the dropped vote rows and counts of what moved.
+function link(db, fromToken, toToken, now = Date.now()) {
+    const fromUser = get(db, 'SELECT credibility, created_at FROM user_credibility WHERE hashed_token = ?', [fromToken]);
+    if (!fromUser) {
+        return { error: 'The old token has no history to move' };
+    }
+
+    const dropped = all(db, `
+        SELECT v.id, v.rumor_id, v.vote_weight, v.confidence, v.timestamp, ${COUNTED_VOTE} AS counted
+        FROM votes v JOIN rumors r ON r.id = v.rumor_id
+        WHERE (v.hashed_token = ? AND (r.submitter_token = ?
+                OR EXISTS (SELECT 1 FROM votes t WHERE t.rumor_id = v.rumor_id AND t.hashed_token = ?)))
+           OR (v.hashed_token = ? AND r.submitter_token = ?)
+    `, [fromToken, toToken, toToken, toToken, fromToken]);
+
+    dropped.forEach(vote => {
+        ledger.activeEntries(db, 'vote_id = ?', [vote.id]).forEach(entry => ledger.reverseEntry(db, entry, { now }));
+        db.run('DELETE FROM evidence WHERE vote_id = ?', [vote.id]);
+        db.run('DELETE FROM votes WHERE id = ?', [vote.id]);
+    });
+
+    // Flags and reviews the continuing token already made on the same rumor stand
+    db.run(`
+        DELETE FROM rumor_flags WHERE hashed_token = ?
+        AND rumor_id IN (SELECT rumor_id FROM rumor_flags WHERE hashed_token = ?)
+    `, [fromToken, toToken]);
+    db.run(`
+        DELETE FROM quarantine_reviews WHERE hashed_token = ? AND EXISTS (
+            SELECT 1 FROM quarantine_reviews t
+            WHERE t.hashed_token = ? AND t.rumor_id = quarantine_reviews.rumor_id AND t.quarantined_at = quarantine_reviews.quarantined_at
+        )
+    `, [fromToken, toToken]);
+
+    const moved = {};
+    [
+        ['rumors', 'rumors', 'submitter_token'],
+        ['votes', 'votes', 'hashed_token'],
+        ['evidence', 'evidence', 'hashed_token'],
+        ['comments', 'comments', 'hashed_token'],
+        ['flags', 'rumor_flags', 'hashed_token'],
+        ['reviews', 'quarantine_reviews', 'hashed_token']
+    ].forEach(([name, table, column]) => {
+        db.run(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`, [toToken, fromToken]);
+        moved[name] = db.getRowsModified();
+    });
+    db.run('UPDATE vote_changes SET hashed_token = ? WHERE hashed_token = ?', [toToken, fromToken]);
+
+    // Read after the reversals above, which changed the old token's standing
+    const from = get(db, 'SELECT credibility, total_votes, aligned_votes, tag_credibility FROM user_credibility WHERE hashed_token = ?', [fromToken]);
+    db.run('UPDATE credibility_ledger SET hashed_token = ? WHERE hashed_token = ?', [toToken, fromToken]);
+    db.run('DELETE FROM user_credibility WHERE hashed_token = ?', [fromToken]);
+
+    if (!get(db, 'SELECT 1 AS found FROM user_credibility WHERE hashed_token = ?', [toToken])) {
+        db.run(`
+            INSERT INTO user_credibility (hashed_token, credibility, total_votes, aligned_votes, created_at, last_updated)
+            VALUES (?, ?, 0, 0, ?, ?)
+        `, [toToken, ledger.DEFAULT_CREDIBILITY, now, now]);
+    }
+
+    const fromTags = ledger.tagCredibility(from);
+    ledger.applyChange(db, toToken, (credibility, tag) => Math.max(credibility, tag ? fromTags[tag] : from.credibility), {
+        reason: 'link',
+        tags: Object.keys(fromTags),
+        now
+    });
+    db.run(`
+        UPDATE user_credibility
+        SET total_votes = total_votes + ?, aligned_votes = aligned_votes + ?, created_at = MIN(created_at, ?)
+        WHERE hashed_token = ?
+    `, [from.total_votes, from.aligned_votes, fromUser.created_at, toToken]);
+
+    return { dropped, moved };
+}
+
+module.exports = {
+    provesToken,
+    issueChallenge,
+    verifyResponse,
+    link
+};
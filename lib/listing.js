@@ -0,0 +1,187 @@
+const tags = require('./tags');
+const { QUARANTINED } = require('./moderation');
+
+// Query building for the paginated rumor listing.
+// Pagination is keyset-based: the cursor holds the sort key values of the
+// last row returned, so pages stay stable while new rumors and votes arrive.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const TOTAL_VOTES = '(verify_count + dispute_count)';
+
+// 0 = evenly split, 1 = one-sided (rumors without votes count as one-sided)
+const VOTE_MARGIN = `(CASE WHEN ${TOTAL_VOTES} = 0 THEN 1.0 ELSE CAST(ABS(verify_count - dispute_count) AS REAL) / ${TOTAL_VOTES} END)`;
+
+// Each sort mode ends with id so every cursor position is unique
+const SORT_MODES = {
+    default: [
+        { column: 'status', expr: 'status', dir: 'ASC' },
+        { column: 'timestamp', expr: 'timestamp', dir: 'DESC' },
+        { column: 'id', expr: 'id', dir: 'DESC' }
+    ],
+    newest: [
+        { column: 'timestamp', expr: 'timestamp', dir: 'DESC' },
+        { column: 'id', expr: 'id', dir: 'DESC' }
+    ],
+    trust: [
+        { column: 'trust_score', expr: 'trust_score', dir: 'DESC' },
+        { column: 'id', expr: 'id', dir: 'DESC' }
+    ],
+    contested: [
+        { column: 'vote_margin', expr: VOTE_MARGIN, dir: 'ASC' },
+        { column: 'total_votes', expr: TOTAL_VOTES, dir: 'DESC' },
+        { column: 'id', expr: 'id', dir: 'DESC' }
+    ],
+    votes: [
+        { column: 'total_votes', expr: TOTAL_VOTES, dir: 'DESC' },
+        { column: 'id', expr: 'id', dir: 'DESC' }
+    ]
+};
+
+// Trust bands mirror the labels shown to users (see README)
+const TRUST_BANDS = {
+    leaning_true: `${TOTAL_VOTES} > 0 AND trust_score > 0.3`,
+    uncertain: `${TOTAL_VOTES} > 0 AND trust_score BETWEEN -0.3 AND 0.3`,
+    leaning_false: `${TOTAL_VOTES} > 0 AND trust_score < -0.3`,
+    no_votes: `${TOTAL_VOTES} = 0`
+};
+
+const STATUSES = ['ACTIVE', 'ARCHIVED', 'EXPIRED', 'CONFIRMED', 'DEBUNKED'];
+
+function encodeCursor(sort, row) {
+    const values = SORT_MODES[sort].map(key => row[key.column]);
+    return Buffer.from(JSON.stringify({ s: sort, k: values })).toString('base64url');
+}
+
+function decodeCursor(sort, cursor) {
+    try {
+        const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (parsed.s !== sort || !Array.isArray(parsed.k) || parsed.k.length !== SORT_MODES[sort].length) {
+            return null;
+        }
+        return parsed.k;
+    } catch (e) {
+        return null;
+    }
+}
+
+function parseTime(value) {
+    if (value === undefined) return undefined;
+    const time = Number(value);
+    return Number.isFinite(time) ? time : NaN;
+}
+
+// Validate listing query parameters; returns { error } or { options }
+function parseListOptions(query) {
+    const sort = query.sort || 'default';
+    if (!SORT_MODES[sort]) {
+        return { error: `Sort must be one of: ${Object.keys(SORT_MODES).join(', ')}` };
+    }
+
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return { error: `Limit must be between 1 and ${MAX_LIMIT}` };
+        }
+    }
+
+    const status = query.status ? String(query.status).toUpperCase() : undefined;
+    if (status && !STATUSES.includes(status)) {
+        return { error: `Status must be one of: ${STATUSES.join(', ')}` };
+    }
+
+    const trust = query.trust ? String(query.trust).toLowerCase() : undefined;
+    if (trust && !TRUST_BANDS[trust]) {
+        return { error: `Trust band must be one of: ${Object.keys(TRUST_BANDS).join(', ')}` };
+    }
+
+    const since = parseTime(query.since);
+    const until = parseTime(query.until);
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+        return { error: 'since and until must be timestamps in milliseconds' };
+    }
+
+    // Comma-separated; rumors carrying any of the tags match
+    const tagFilter = query.tag ? [...new Set(String(query.tag).toLowerCase().split(',').map(tag => tag.trim()))] : undefined;
+    if (tagFilter && !tagFilter.every(tags.isTag)) {
+        return { error: 'Unknown tag in tag filter' };
+    }
+
+    let after = null;
+    if (query.cursor) {
+        after = decodeCursor(sort, String(query.cursor));
+        if (!after) {
+            return { error: 'Invalid cursor for this sort mode' };
+        }
+    }
+
+    return { options: { sort, limit, status, trust, tags: tagFilter, since, until, after } };
+}
+
+// Build the page query; fetches one extra row to detect whether more pages exist
+function buildListQuery(options) {
+    const keys = SORT_MODES[options.sort];
+    const conditions = ['is_deleted = 0', `status != '${QUARANTINED}'`];
+    const params = [];
+
+    if (options.status) {
+        conditions.push('status = ?');
+        params.push(options.status);
+    }
+
+    if (options.trust) {
+        conditions.push(`(${TRUST_BANDS[options.trust]})`);
+    }
+
+    if (options.tags) {
+        conditions.push(`id IN (SELECT rumor_id FROM rumor_tags WHERE tag IN (${options.tags.map(() => '?').join(', ')}))`);
+        params.push(...options.tags);
+    }
+
+    if (options.since !== undefined) {
+        conditions.push('timestamp >= ?');
+        params.push(options.since);
+    }
+
+    if (options.until !== undefined) {
+        conditions.push('timestamp < ?');
+        params.push(options.until);
+    }
+
+    // Keyset condition: (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+    if (options.after) {
+        const branches = keys.map((key, i) => {
+            const parts = keys.slice(0, i).map(prev => `${prev.expr} = ?`);
+            parts.push(`${key.expr} ${key.dir === 'DESC' ? '<' : '>'} ?`);
+            return `(${parts.join(' AND ')})`;
+        });
+        conditions.push(`(${branches.join(' OR ')})`);
+        keys.forEach((key, i) => {
+            params.push(...options.after.slice(0, i), options.after[i]);
+        });
+    }
+
+    const sql = `
+      SELECT id, content, timestamp, verify_count, dispute_count, trust_score, uncertainty, submitter_token, status,
+             expires_at, edited_at, resolved_at,
+             ${VOTE_MARGIN} AS vote_margin, ${TOTAL_VOTES} AS total_votes
+      FROM rumors
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${keys.map(key => `${key.expr} ${key.dir}`).join(', ')}
+      LIMIT ?
+    `;
+    params.push(options.limit + 1);
+
+    return { sql, params };
+}
+
+module.exports = {
+    SORT_MODES,
+    TRUST_BANDS,
+    STATUSES,
+    parseListOptions,
+    buildListQuery,
+    encodeCursor
+};
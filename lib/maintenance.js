@@ -0,0 +1,198 @@
+const config = require('./config');
+const events = require('./events');
+const settlement = require('./settlement');
+const stats = require('./stats');
+const trust = require('./trust');
+const { all, placeholders } = require('./sql');
+const { transaction } = require('./db');
+
+// Scheduled maintenance jobs: archiving stale rumors, expiring rumors past
+// their TTL, rolling up statistics and purging old data.
+// Each job splits into find (read-only, also used for dry runs) and apply,
+// so a dry run reports exactly what a real run would change.
+
+const JOBS = {
+    archiveInactive: {
+        description: 'Archive active rumors older than the inactivity threshold',
+        interval: () => config.ARCHIVE_INTERVAL,
+        find: (db, now) => all(db, `
+            SELECT id, content, timestamp FROM rumors
+            WHERE status = 'ACTIVE' AND is_deleted = 0 AND timestamp < ?
+        `, [now - config.ARCHIVE_INACTIVITY]),
+        apply: archiveRumors
+    },
+    archiveLowTrust: {
+        description: 'Archive active rumors whose trust score fell below the threshold',
+        interval: () => config.ARCHIVE_INTERVAL,
+        find: db => all(db, `
+            SELECT id, content, trust_score FROM rumors
+            WHERE status = 'ACTIVE' AND is_deleted = 0 AND trust_score < ?
+        `, [config.ARCHIVE_TRUST_THRESHOLD]),
+        apply: archiveRumors
+    },
+    expireRumors: {
+        description: 'Expire active rumors whose submitter-set TTL has passed',
+        interval: () => config.ARCHIVE_INTERVAL,
+        find: (db, now) => all(db, `
+            SELECT id, content, expires_at FROM rumors
+            WHERE status = 'ACTIVE' AND is_deleted = 0 AND expires_at IS NOT NULL AND expires_at <= ?
+        `, [now]),
+        apply: (db, rows) => {
+            const ids = rows.map(row => row.id);
+            for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+                const batch = ids.slice(i, i + BATCH_SIZE);
+                db.run(`UPDATE rumors SET status = 'EXPIRED', is_archived = 1 WHERE id IN (${placeholders(batch)})`, batch);
+            }
+            ids.forEach(id => events.publish('rumor.expired', { id, status: 'EXPIRED' }));
+        }
+    },
+    settleRumors: {
+        description: 'Settle voter credibility for closed rumors and rumors past the settlement age',
+        interval: () => config.ARCHIVE_INTERVAL,
+        find: (db, now) => settlement.findDue(db, now),
+        apply: (db, rows, now) => {
+            rows.forEach(row => settlement.evaluate(db, row.id, { final: true, now }));
+        }
+    },
+    purgeInactiveUsers: {
+        description: 'Delete credibility rows of tokens inactive past the retention period',
+        interval: () => config.PURGE_INTERVAL,
+        find: (db, now) => all(db, `
+            SELECT hashed_token, last_updated FROM user_credibility WHERE last_updated < ?
+        `, [now - config.CREDIBILITY_RETENTION]),
+        apply: (db, rows) => {
+            const tokens = rows.map(row => row.hashed_token);
+            deleteWhereIn(db, 'user_credibility', 'hashed_token', tokens);
+            deleteWhereIn(db, 'credibility_ledger', 'hashed_token', tokens);
+            deleteWhereIn(db, 'vote_changes', 'hashed_token', tokens);
+        }
+    },
+    purgeOrphanVotes: {
+        description: 'Delete votes (and their evidence) whose token no longer has a credibility row, and rescore their rumors',
+        interval: () => config.PURGE_INTERVAL,
+        find: db => all(db, `
+            SELECT id, rumor_id FROM votes
+            WHERE hashed_token NOT IN (SELECT hashed_token FROM user_credibility)
+        `),
+        apply: (db, rows) => {
+            const ids = rows.map(row => row.id);
+            deleteWhereIn(db, 'evidence', 'vote_id', ids);
+            deleteWhereIn(db, 'votes', 'id', ids);
+
+            [...new Set(rows.map(row => row.rumor_id))].forEach(id => {
+                const score = trust.refreshRumor(db, id);
+                if (!score) return;
+                events.publish('rumor.voted', {
+                    id,
+                    verify_count: score.verify_count,
+                    dispute_count: score.dispute_count,
+                    trust_score: score.trust_score
+                });
+            });
+        }
+    },
+    rollupStats: {
+        description: 'Recompute the aggregate statistics served by GET /api/stats',
+        interval: () => config.STATS_INTERVAL,
+        find: (db, now) => stats.compute(db, now),
+        apply: (db, rows, now) => stats.save(db, rows, now)
+    }
+};
+
+const BATCH_SIZE = 500; // Keep IN (...) lists well under SQLite's variable limit
+
+function deleteWhereIn(db, table, column, values) {
+    for (let i = 0; i < values.length; i += BATCH_SIZE) {
+        const batch = values.slice(i, i + BATCH_SIZE);
+        db.run(`DELETE FROM ${table} WHERE ${column} IN (${placeholders(batch)})`, batch);
+    }
+}
+
+function archiveRumors(db, rows) {
+    const ids = rows.map(row => row.id);
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const batch = ids.slice(i, i + BATCH_SIZE);
+        db.run(`UPDATE rumors SET status = 'ARCHIVED', is_archived = 1 WHERE id IN (${placeholders(batch)})`, batch);
+    }
+    ids.forEach(id => events.publish('rumor.archived', { id, status: 'ARCHIVED' }));
+}
+
+let context = null; // { db }
+const state = {}; // job name -> { lastRun, nextRunAt }
+const timers = [];
+
+// Run one job now. Dry runs only report the rows that would change;
+// manual dry runs are not recorded as the job's last run.
+function runJob(name, { dryRun = false, scheduled = false } = {}) {
+    const job = JOBS[name];
+    const startedAt = Date.now();
+    const report = { job: name, dryRun, startedAt };
+
+    try {
+        const rows = job.find(context.db, startedAt);
+        report.affected = rows.length;
+
+        if (dryRun) {
+            report.rows = rows;
+        } else if (rows.length > 0) {
+            transaction(() => job.apply(context.db, rows, startedAt));
+        }
+    } catch (error) {
+        console.error(`Maintenance job ${name} failed:`, error);
+        report.error = error.message;
+    }
+
+    report.durationMs = Date.now() - startedAt;
+    if (scheduled || !dryRun) {
+        state[name].lastRun = report;
+    }
+    return report;
+}
+
+function runAll(options) {
+    return Object.keys(JOBS).map(name => runJob(name, options));
+}
+
+// Run every job once, then on its own interval
+function start(db) {
+    context = { db };
+
+    Object.keys(JOBS).forEach(name => {
+        const interval = JOBS[name].interval();
+        state[name] = { lastRun: null, nextRunAt: Date.now() + interval };
+
+        const timer = setInterval(() => {
+            state[name].nextRunAt = Date.now() + interval;
+            runJob(name, { dryRun: config.MAINTENANCE_DRY_RUN, scheduled: true });
+        }, interval);
+        timer.unref();
+        timers.push(timer);
+    });
+
+    runAll({ dryRun: config.MAINTENANCE_DRY_RUN, scheduled: true });
+}
+
+function stop() {
+    timers.splice(0).forEach(clearInterval);
+}
+
+function status() {
+    return Object.keys(JOBS).map(name => ({
+        job: name,
+        description: JOBS[name].description,
+        intervalMs: JOBS[name].interval(),
+        nextRunAt: state[name] ? state[name].nextRunAt : null,
+        lastRun: state[name] && state[name].lastRun
+            ? { ...state[name].lastRun, rows: undefined }
+            : null
+    }));
+}
+
+module.exports = {
+    JOBS,
+    start,
+    stop,
+    runJob,
+    runAll,
+    status
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { all } = require('./sql');
+
+// Versioned schema migrations.
+// Each file in lib/migrations named NNN_description.js exports
+// { description, up(db) } and runs once, in version order, inside its own
+// transaction. Applied versions are recorded in schema_version; a failing
+// migration is rolled back and stops startup instead of being skipped.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_[a-z0-9_]+\.js$/;
+
+function load() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => FILE_PATTERN.exec(file))
+        .filter(Boolean)
+        .map(match => ({
+            version: parseInt(match[1], 10),
+            name: path.basename(match[0], '.js'),
+            ...require(path.join(MIGRATIONS_DIR, match[0]))
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migration.version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migration.version}`);
+        }
+    });
+    return migrations;
+}
+
+function ensureVersionTable(db) {
+    db.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )
+  `);
+}
+
+// Every known migration with when it was applied (null if pending)
+function status(db) {
+    ensureVersionTable(db);
+    const applied = new Map(all(db, 'SELECT version, applied_at FROM schema_version').map(row => [row.version, row.applied_at]));
+    const migrations = load();
+
+    const unknown = [...applied.keys()].filter(version => !migrations.some(migration => migration.version === version));
+    if (unknown.length > 0) {
+        throw new Error(`Database has schema version ${Math.max(...unknown)}, which this code does not know; upgrade the code`);
+    }
+
+    return migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        description: migration.description,
+        applied_at: applied.has(migration.version) ? applied.get(migration.version) : null
+    }));
+}
+
+function pending(db) {
+    return status(db).filter(migration => migration.applied_at === null);
+}
+
+// Apply pending migrations in order; returns the ones applied
+function migrate(db, now = Date.now()) {
+    const todo = new Set(pending(db).map(migration => migration.version));
+    const applied = [];
+
+    load().filter(migration => todo.has(migration.version)).forEach(migration => {
+        db.run('BEGIN');
+        try {
+            migration.up(db);
+            db.run('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)', [migration.version, migration.name, now]);
+            db.run('COMMIT');
+        } catch (error) {
+            db.run('ROLLBACK');
+            throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+        }
+        applied.push({ version: migration.version, name: migration.name, description: migration.description });
+    });
+    return applied;
+}
+
+module.exports = {
+    status,
+    pending,
+    migrate
+};
@@ -0,0 +1,189 @@
+const { addMissingColumns } = require('./helpers');
+
+// The schema as it stood when versioned migrations were introduced. Every
+// statement is idempotent, so this also brings databases created by the
+// earlier ad-hoc ALTER TABLE loop up to the same shape.
+
+module.exports = {
+    description: 'Baseline schema: rumors, votes, credibility, evidence, tags, comments and the search index',
+    up(db) {
+        db.run(`
+        CREATE TABLE IF NOT EXISTS rumors (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          content TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          verify_count INTEGER DEFAULT 0,
+          dispute_count INTEGER DEFAULT 0,
+          weighted_verify REAL DEFAULT 0,
+          weighted_dispute REAL DEFAULT 0,
+          trust_score REAL DEFAULT 0,
+          is_deleted INTEGER DEFAULT 0,
+          is_archived INTEGER DEFAULT 0,
+          submitter_token TEXT,
+          status TEXT DEFAULT 'ACTIVE',
+          submission_weight REAL,
+          settled_at INTEGER,
+          settled_direction TEXT,
+          merged_into INTEGER
+        )
+      `);
+
+        // Databases from before versioned migrations may lack later columns
+        addMissingColumns(db, 'rumors', [
+            "weighted_verify REAL DEFAULT 0",
+            "weighted_dispute REAL DEFAULT 0",
+            "is_deleted INTEGER DEFAULT 0",
+            "is_archived INTEGER DEFAULT 0",
+            "submitter_token TEXT",
+            "status TEXT DEFAULT 'ACTIVE'",
+            "submission_weight REAL",
+            "settled_at INTEGER",
+            "settled_direction TEXT",
+            "merged_into INTEGER"
+        ]);
+
+        // weighted_verify was only ever written at submission, so it still holds
+        // the submission weight of rumors created before that had its own column
+        db.run('UPDATE rumors SET submission_weight = weighted_verify WHERE submission_weight IS NULL');
+
+        db.run(`
+        CREATE TABLE IF NOT EXISTS votes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rumor_id INTEGER NOT NULL,
+          hashed_token TEXT NOT NULL,
+          vote_type TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          vote_weight REAL DEFAULT 1.0,
+          confidence REAL DEFAULT 1.0,
+          probation INTEGER DEFAULT 0,
+          quarantine_status TEXT,
+          UNIQUE(rumor_id, hashed_token),
+          FOREIGN KEY (rumor_id) REFERENCES rumors(id)
+        )
+      `);
+
+        addMissingColumns(db, 'votes', [
+            "vote_weight REAL DEFAULT 1.0",
+            "confidence REAL DEFAULT 1.0",
+            "probation INTEGER DEFAULT 0",
+            "quarantine_status TEXT"
+        ]);
+
+        db.run(`
+        CREATE TABLE IF NOT EXISTS user_credibility (
+          hashed_token TEXT PRIMARY KEY,
+          credibility REAL DEFAULT 0.1,
+          total_votes INTEGER DEFAULT 0,
+          aligned_votes INTEGER DEFAULT 0,
+          created_at INTEGER NOT NULL,
+          last_updated INTEGER NOT NULL,
+          tag_credibility TEXT
+        )
+      `);
+
+        // Per-tag credibility (JSON object of tag -> credibility) came after the table
+        addMissingColumns(db, 'user_credibility', ['tag_credibility TEXT']);
+
+        db.run(`
+        CREATE TABLE IF NOT EXISTS credibility_ledger (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          hashed_token TEXT NOT NULL,
+          rumor_id INTEGER,
+          vote_id INTEGER,
+          reason TEXT NOT NULL,
+          aligned INTEGER,
+          delta REAL NOT NULL,
+          credibility_after REAL NOT NULL,
+          created_at INTEGER NOT NULL,
+          reversed_by INTEGER,
+          tag_deltas TEXT
+        )
+      `);
+
+        // Per-tag deltas (JSON object of tag -> delta) came after the table
+        addMissingColumns(db, 'credibility_ledger', ['tag_deltas TEXT']);
+
+        db.run(`
+        CREATE TABLE IF NOT EXISTS vote_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rumor_id INTEGER NOT NULL,
+          hashed_token TEXT NOT NULL,
+          action TEXT NOT NULL,
+          from_type TEXT,
+          to_type TEXT,
+          from_confidence REAL,
+          to_confidence REAL,
+          created_at INTEGER NOT NULL
+        )
+      `);
+
+        db.run(`
+        CREATE TABLE IF NOT EXISTS evidence (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rumor_id INTEGER NOT NULL,
+          vote_id INTEGER,
+          hashed_token TEXT NOT NULL,
+          type TEXT NOT NULL,
+          url TEXT,
+          text TEXT,
+          file_name TEXT,
+          mime_type TEXT,
+          size INTEGER,
+          created_at INTEGER NOT NULL,
+          FOREIGN KEY (rumor_id) REFERENCES rumors(id)
+        )
+      `);
+
+        // Full-text index over visible rumors (docid = rumor id), kept in sync by triggers
+        db.run('CREATE VIRTUAL TABLE IF NOT EXISTS rumors_fts USING fts4(content, tokenize=porter)');
+        db.run(`
+        CREATE TRIGGER IF NOT EXISTS rumors_fts_insert AFTER INSERT ON rumors WHEN new.is_deleted = 0
+        BEGIN
+          INSERT INTO rumors_fts (docid, content) VALUES (new.id, new.content);
+        END
+      `);
+        db.run(`
+        CREATE TRIGGER IF NOT EXISTS rumors_fts_update AFTER UPDATE OF content, is_deleted ON rumors
+        BEGIN
+          DELETE FROM rumors_fts WHERE docid = old.id;
+          INSERT INTO rumors_fts (docid, content) SELECT new.id, new.content WHERE new.is_deleted = 0;
+        END
+      `);
+        db.run(`
+        CREATE TRIGGER IF NOT EXISTS rumors_fts_delete AFTER DELETE ON rumors
+        BEGIN
+          DELETE FROM rumors_fts WHERE docid = old.id;
+        END
+      `);
+
+        // Index rumors stored before the index existed
+        db.run(`
+        INSERT INTO rumors_fts (docid, content)
+        SELECT id, content FROM rumors
+        WHERE is_deleted = 0 AND id NOT IN (SELECT docid FROM rumors_fts)
+      `);
+
+        db.run(`
+        CREATE TABLE IF NOT EXISTS rumor_tags (
+          rumor_id INTEGER NOT NULL,
+          tag TEXT NOT NULL,
+          PRIMARY KEY (rumor_id, tag),
+          FOREIGN KEY (rumor_id) REFERENCES rumors(id)
+        )
+      `);
+
+        db.run(`
+        CREATE TABLE IF NOT EXISTS comments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rumor_id INTEGER NOT NULL,
+          parent_id INTEGER,
+          hashed_token TEXT NOT NULL,
+          content TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          is_deleted INTEGER DEFAULT 0,
+          FOREIGN KEY (rumor_id) REFERENCES rumors(id),
+          FOREIGN KEY (parent_id) REFERENCES comments(id)
+        )
+      `);
+    }
+};
@@ -0,0 +1,11 @@
+// Indexes for the queries run on every request: a rumor's votes, a token's
+// votes (probation, history, purges) and the default listing order.
+
+module.exports = {
+    description: 'Index votes by rumor and by token, and rumors by status and time',
+    up(db) {
+        db.run('CREATE INDEX IF NOT EXISTS idx_votes_rumor_id ON votes (rumor_id)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_votes_hashed_token ON votes (hashed_token)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_rumors_status_timestamp ON rumors (status, timestamp)');
+    }
+};
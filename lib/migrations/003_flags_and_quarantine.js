@@ -0,0 +1,41 @@
+const { addMissingColumns } = require('./helpers');
+
+// Community flags on rumors, the review votes on quarantined rumors, and when
+// a rumor entered quarantine. Reviews belong to one quarantine (keyed by its
+// start time), so a rumor quarantined again is reviewed afresh.
+
+module.exports = {
+    description: 'Add rumor flags, quarantine review votes and rumors.quarantined_at',
+    up(db) {
+        addMissingColumns(db, 'rumors', ['quarantined_at INTEGER']);
+
+        db.run(`
+        CREATE TABLE IF NOT EXISTS rumor_flags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rumor_id INTEGER NOT NULL,
+          hashed_token TEXT NOT NULL,
+          reason TEXT NOT NULL,
+          weight REAL NOT NULL,
+          created_at INTEGER NOT NULL,
+          resolved_at INTEGER,
+          resolution TEXT,
+          UNIQUE(rumor_id, hashed_token),
+          FOREIGN KEY (rumor_id) REFERENCES rumors(id)
+        )
+      `);
+
+        db.run(`
+        CREATE TABLE IF NOT EXISTS quarantine_reviews (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rumor_id INTEGER NOT NULL,
+          hashed_token TEXT NOT NULL,
+          quarantined_at INTEGER NOT NULL,
+          decision TEXT NOT NULL,
+          weight REAL NOT NULL,
+          created_at INTEGER NOT NULL,
+          UNIQUE(rumor_id, hashed_token, quarantined_at),
+          FOREIGN KEY (rumor_id) REFERENCES rumors(id)
+        )
+      `);
+    }
+};
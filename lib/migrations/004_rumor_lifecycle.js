@@ -0,0 +1,31 @@
+const { addMissingColumns } = require('./helpers');
+
+// Rumor lifecycle: submitter-set expiry, corrections within the grace window
+// (with their history), CONFIRMED/DEBUNKED resolution, and the status a
+// quarantined rumor returns to if the review keeps it.
+
+module.exports = {
+    description: 'Add rumor expiry, edit history, resolution time and pre-quarantine status',
+    up(db) {
+        addMissingColumns(db, 'rumors', [
+            'expires_at INTEGER',
+            'edited_at INTEGER',
+            'resolved_at INTEGER',
+            'prior_status TEXT'
+        ]);
+
+        db.run(`
+        CREATE TABLE IF NOT EXISTS rumor_edits (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rumor_id INTEGER NOT NULL,
+          previous_content TEXT NOT NULL,
+          content TEXT NOT NULL,
+          votes_reset INTEGER NOT NULL,
+          edited_at INTEGER NOT NULL,
+          FOREIGN KEY (rumor_id) REFERENCES rumors(id)
+        )
+      `);
+
+        db.run('CREATE INDEX IF NOT EXISTS idx_rumors_expires_at ON rumors (expires_at) WHERE expires_at IS NOT NULL');
+    }
+};
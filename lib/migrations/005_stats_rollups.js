@@ -0,0 +1,26 @@
+const { addMissingColumns } = require('./helpers');
+
+// Precomputed aggregates for GET /api/stats, kept up to date by the
+// rollupStats maintenance job, and a per-rumor count of settlement flips.
+// The timestamp indexes let the job re-read only the most recent days.
+
+module.exports = {
+    description: 'Add stats rollup table, rumors.settlement_flips and timestamp indexes',
+    up(db) {
+        addMissingColumns(db, 'rumors', ['settlement_flips INTEGER DEFAULT 0']);
+
+        db.run(`
+        CREATE TABLE IF NOT EXISTS stats_rollups (
+          metric TEXT NOT NULL,
+          bucket TEXT NOT NULL,
+          count INTEGER NOT NULL,
+          tokens INTEGER NOT NULL,
+          computed_at INTEGER NOT NULL,
+          PRIMARY KEY (metric, bucket)
+        )
+      `);
+
+        db.run('CREATE INDEX IF NOT EXISTS idx_rumors_timestamp ON rumors (timestamp)');
+        db.run('CREATE INDEX IF NOT EXISTS idx_votes_timestamp ON votes (timestamp)');
+    }
+};
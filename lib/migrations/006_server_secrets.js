@@ -0,0 +1,15 @@
+// Secrets the server generates for itself on first start and must keep
+// across restarts (e.g. the comment pseudonym secret when none is configured).
+
+module.exports = {
+    description: 'Add server_secrets table',
+    up(db) {
+        db.run(`
+        CREATE TABLE IF NOT EXISTS server_secrets (
+          name TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          created_at INTEGER NOT NULL
+        )
+      `);
+    }
+};
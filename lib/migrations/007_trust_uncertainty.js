@@ -0,0 +1,11 @@
+const { addMissingColumns } = require('./helpers');
+
+// Uncertainty of a rumor's trust score, for strategies that estimate one
+// (bayesian); NULL under the others.
+
+module.exports = {
+    description: 'Add rumors.uncertainty',
+    up(db) {
+        addMissingColumns(db, 'rumors', ['uncertainty REAL']);
+    }
+};
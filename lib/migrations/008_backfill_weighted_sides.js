@@ -0,0 +1,34 @@
+// Fill weighted_verify and weighted_dispute for rumors scored before those
+// columns were kept up to date (both still at their default 0), from the
+// submission weight and counted votes. The rules are written out here as they
+// stood, rather than taken from lib/trust.js and the live config, so the step
+// gives the same result whenever it runs. Stored trust scores are left alone:
+// recomputing them is an explicit `rebuild --apply`. Uncertainty stays NULL,
+// as the stored scores come from the additive formula, which has none.
+
+const EVIDENCE_WEIGHT_BONUS = 1.5;
+const COUNTED_VOTE = "(v.quarantine_status IS NULL OR v.quarantine_status = 'RELEASED')";
+
+function weightedSide(voteType) {
+    return `COALESCE((
+        SELECT SUM(v.vote_weight * v.confidence *
+                   CASE WHEN EXISTS (SELECT 1 FROM evidence e WHERE e.vote_id = v.id) THEN ${EVIDENCE_WEIGHT_BONUS} ELSE 1 END)
+        FROM votes v
+        WHERE v.rumor_id = rumors.id AND v.vote_type = '${voteType}' AND ${COUNTED_VOTE}
+    ), 0)`;
+}
+
+module.exports = {
+    description: 'Backfill weighted vote sides',
+    up(db) {
+        db.run(`
+        UPDATE rumors
+        SET weighted_verify = COALESCE(submission_weight, 0) *
+                CASE WHEN EXISTS (SELECT 1 FROM evidence e WHERE e.rumor_id = rumors.id AND e.vote_id IS NULL)
+                     THEN ${EVIDENCE_WEIGHT_BONUS} ELSE 1 END
+                + ${weightedSide('verify')},
+            weighted_dispute = ${weightedSide('dispute')}
+        WHERE COALESCE(weighted_verify, 0) = 0 AND COALESCE(weighted_dispute, 0) = 0
+      `);
+    }
+};
@@ -0,0 +1,16 @@
+const { addMissingColumns } = require('./helpers');
+
+// The side a rumor's votes lean to once it has CONSENSUS_THRESHOLD of them,
+// and how many times that side has changed since, kept up to date on every
+// recount for GET /api/stats. Existing rumors start with no recorded side;
+// their next recount records one without counting a change.
+
+module.exports = {
+    description: 'Add rumors.consensus_direction and rumors.consensus_flips',
+    up(db) {
+        addMissingColumns(db, 'rumors', [
+            'consensus_direction TEXT',
+            'consensus_flips INTEGER DEFAULT 0'
+        ]);
+    }
+};
@@ -0,0 +1,9 @@
+// Lets the statistics rollup read only the tokens updated within its window,
+// and the inactive-token purge find expired rows without a full scan.
+
+module.exports = {
+    description: 'Add an index on user_credibility.last_updated',
+    up(db) {
+        db.run('CREATE INDEX IF NOT EXISTS idx_user_credibility_last_updated ON user_credibility (last_updated)');
+    }
+};
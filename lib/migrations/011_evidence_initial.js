@@ -0,0 +1,19 @@
+const { addMissingColumns } = require('./helpers');
+
+// Whether an evidence item came with the vote (or rumor) it backs, the only
+// evidence that earns the weight bonus; items added afterwards are shown but
+// do not raise a weight already cast. Existing items count as added
+// afterwards if they are newer than their vote or rumor.
+
+module.exports = {
+    description: 'Add evidence.initial',
+    up(db) {
+        addMissingColumns(db, 'evidence', ['initial INTEGER DEFAULT 1']);
+
+        db.run(`
+        UPDATE evidence SET initial = 0
+        WHERE (vote_id IS NOT NULL AND created_at > (SELECT v.timestamp FROM votes v WHERE v.id = evidence.vote_id))
+        OR (vote_id IS NULL AND created_at > (SELECT r.timestamp FROM rumors r WHERE r.id = evidence.rumor_id))
+      `);
+    }
+};
@@ -0,0 +1,23 @@
+const { all } = require('../sql');
+
+// Shared building blocks for migration files
+
+function columnNames(db, table) {
+    return all(db, `PRAGMA table_info(${table})`).map(column => column.name);
+}
+
+// Add the columns a table is missing; `columns` are full definitions such as "status TEXT DEFAULT 'ACTIVE'"
+function addMissingColumns(db, table, columns) {
+    const existing = new Set(columnNames(db, table));
+    columns.forEach(definition => {
+        const name = definition.split(/\s+/)[0];
+        if (!existing.has(name)) {
+            db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+        }
+    });
+}
+
+module.exports = {
+    columnNames,
+    addMissingColumns
+};
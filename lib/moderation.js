@@ -0,0 +1,152 @@
+const config = require('./config');
+const sybil = require('./sybil');
+const { all, get } = require('./sql');
+
+// Community moderation without admins.
+// Tokens flag harmful rumors; each flag weighs the flagger's credibility
+// (damped while on probation). Once FLAG_MIN_FLAGGERS flags adding up to
+// FLAG_QUARANTINE_WEIGHT are open on a rumor it is QUARANTINED: hidden from
+// listings and search and closed to votes, evidence and comments. Other
+// tokens then review it the same way, and the weighted majority either
+// restores the rumor to its earlier status (ties keep it) or removes it.
+
+const QUARANTINED = 'QUARANTINED';
+const FLAG_REASONS = ['harassment', 'personal_info', 'illegal'];
+const DECISIONS = ['keep', 'remove'];
+
+// Credibility-based weight of a flag or review from this token
+function weightOf(db, hashedToken, now = Date.now()) {
+    const user = get(db, 'SELECT credibility FROM user_credibility WHERE hashed_token = ?', [hashedToken]);
+    const credibility = Math.max(user ? user.credibility : 0, 0);
+    return credibility * sybil.probationFactor(sybil.isOnProbation(db, hashedToken, now));
+}
+
+// Open (unresolved) flags on a rumor: { flaggers, weight, reasons: { reason: count } }
+function flagTally(db, rumorId) {
+    const rows = all(db, `
+        SELECT reason, COUNT(*) AS flaggers, SUM(weight) AS weight FROM rumor_flags
+        WHERE rumor_id = ? AND resolved_at IS NULL GROUP BY reason
+    `, [rumorId]);
+
+    const tally = { flaggers: 0, weight: 0, reasons: {} };
+    rows.forEach(row => {
+        tally.flaggers += row.flaggers;
+        tally.weight += row.weight;
+        tally.reasons[row.reason] = row.flaggers;
+    });
+    return tally;
+}
+
+// Review votes in a rumor's current quarantine: { reviewers, keep, remove } with weights per decision
+function reviewTally(db, rumor) {
+    const rows = all(db, `
+        SELECT decision, COUNT(*) AS reviewers, SUM(weight) AS weight FROM quarantine_reviews
+        WHERE rumor_id = ? AND quarantined_at = ? GROUP BY decision
+    `, [rumor.id, rumor.quarantined_at]);
+
+    const tally = { reviewers: 0, keep: 0, remove: 0 };
+    rows.forEach(row => {
+        tally.reviewers += row.reviewers;
+        tally[row.decision] = row.weight;
+    });
+    return tally;
+}
+
+// Record a flag and quarantine the rumor if the open flags now cross the threshold.
+// Returns { error } or { weight, tally, quarantined }.
+function flag(db, rumor, hashedToken, reason, now = Date.now()) {
+    if (rumor.status === QUARANTINED) {
+        return { error: 'Rumor is already quarantined' };
+    }
+    if (rumor.submitter_token === hashedToken) {
+        return { error: 'You cannot flag your own rumor' };
+    }
+    if (get(db, 'SELECT 1 AS found FROM rumor_flags WHERE rumor_id = ? AND hashed_token = ?', [rumor.id, hashedToken])) {
+        return { error: 'You have already flagged this rumor' };
+    }
+
+    const weight = weightOf(db, hashedToken, now);
+    db.run(`
+        INSERT INTO rumor_flags (rumor_id, hashed_token, reason, weight, created_at)
+        VALUES (?, ?, ?, ?, ?)
+    `, [rumor.id, hashedToken, reason, weight, now]);
+
+    const tally = flagTally(db, rumor.id);
+    const quarantined = tally.flaggers >= config.FLAG_MIN_FLAGGERS && tally.weight >= config.FLAG_QUARANTINE_WEIGHT;
+    if (quarantined) {
+        db.run(`UPDATE rumors SET prior_status = status, status = '${QUARANTINED}', quarantined_at = ? WHERE id = ?`, [now, rumor.id]);
+    }
+    return { weight, tally, quarantined };
+}
+
+// Close a quarantine: restore the rumor's earlier status or remove it
+function resolve(db, rumorId, outcome, now = Date.now()) {
+    if (outcome === 'keep') {
+        db.run(`
+            UPDATE rumors
+            SET status = COALESCE(prior_status, CASE WHEN is_archived = 1 THEN 'ARCHIVED' ELSE 'ACTIVE' END),
+                prior_status = NULL, quarantined_at = NULL
+            WHERE id = ?
+        `, [rumorId]);
+    } else {
+        db.run('UPDATE rumors SET is_deleted = 1 WHERE id = ?', [rumorId]);
+    }
+    db.run('UPDATE rumor_flags SET resolved_at = ?, resolution = ? WHERE rumor_id = ? AND resolved_at IS NULL', [now, outcome, rumorId]);
+}
+
+// Record a review vote on a quarantined rumor and resolve it once the quorum is met.
+// Flaggers and the submitter cannot review. Returns { error } or { weight, tally, outcome }
+// where outcome is 'keep', 'remove' or null while the review is still open.
+function review(db, rumor, hashedToken, decision, now = Date.now()) {
+    if (rumor.status !== QUARANTINED) {
+        return { error: 'Rumor is not quarantined' };
+    }
+    if (rumor.submitter_token === hashedToken) {
+        return { error: 'You cannot review your own rumor' };
+    }
+    if (get(db, 'SELECT 1 AS found FROM rumor_flags WHERE rumor_id = ? AND hashed_token = ? AND resolved_at IS NULL', [rumor.id, hashedToken])) {
+        return { error: 'Flaggers cannot review the rumor they flagged' };
+    }
+    if (get(db, 'SELECT 1 AS found FROM quarantine_reviews WHERE rumor_id = ? AND hashed_token = ? AND quarantined_at = ?',
+        [rumor.id, hashedToken, rumor.quarantined_at])) {
+        return { error: 'You have already reviewed this rumor' };
+    }
+
+    const weight = weightOf(db, hashedToken, now);
+    db.run(`
+        INSERT INTO quarantine_reviews (rumor_id, hashed_token, quarantined_at, decision, weight, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [rumor.id, hashedToken, rumor.quarantined_at, decision, weight, now]);
+
+    const tally = reviewTally(db, rumor);
+    let outcome = null;
+    if (tally.reviewers >= config.REVIEW_MIN_REVIEWERS && tally.keep + tally.remove >= config.REVIEW_QUORUM_WEIGHT) {
+        outcome = tally.remove > tally.keep ? 'remove' : 'keep';
+        resolve(db, rumor.id, outcome, now);
+    }
+    return { weight, tally, outcome };
+}
+
+// Quarantined rumors awaiting review, oldest first, with their flag and review tallies
+function queue(db) {
+    return all(db, `
+        SELECT id, content, timestamp, status, quarantined_at FROM rumors
+        WHERE status = '${QUARANTINED}' AND is_deleted = 0
+        ORDER BY quarantined_at ASC, id ASC
+    `).map(rumor => ({
+        ...rumor,
+        flags: flagTally(db, rumor.id),
+        reviews: reviewTally(db, rumor)
+    }));
+}
+
+module.exports = {
+    QUARANTINED,
+    FLAG_REASONS,
+    DECISIONS,
+    flagTally,
+    reviewTally,
+    flag,
+    review,
+    queue
+};
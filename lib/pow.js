@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+// Proof-of-work challenges for tokens the server has not seen before.
+// Minting fresh tokens is free, so a token without a credibility row must
+// first find a nonce such that SHA-256(challenge + ':' + nonce) starts with
+// POW_DIFFICULTY zero bits. Challenges are stateless HMACs bound to the
+// token and an expiry; solved ones are remembered until they expire so each
+// solution can only be spent once.
+
+const secret = crypto.randomBytes(32); // Per boot: restarts invalidate open challenges
+const spent = new Map(); // challenge -> expiresAt
+
+function sign(hashedToken, expiresAt) {
+    return crypto.createHmac('sha256', secret).update(`${hashedToken}:${expiresAt}`).digest('hex');
+}
+
+function issueChallenge(hashedToken, now = Date.now()) {
+    const expiresAt = now + config.POW_CHALLENGE_TTL;
+    return {
+        challenge: `${expiresAt}.${sign(hashedToken, expiresAt)}`,
+        difficulty: config.POW_DIFFICULTY,
+        expiresAt
+    };
+}
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+// Verify and spend a solved challenge; returns an error message or null
+function verifySolution(hashedToken, solution, now = Date.now()) {
+    if (!solution || typeof solution.challenge !== 'string' || typeof solution.nonce !== 'string') {
+        return 'Proof of work required for new tokens';
+    }
+
+    const [expiresAtText, signature] = solution.challenge.split('.');
+    const expiresAt = Number(expiresAtText);
+    if (!signature || !Number.isFinite(expiresAt)) {
+        return 'Malformed challenge';
+    }
+
+    const expected = Buffer.from(sign(hashedToken, expiresAt));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return 'Challenge was not issued for this token';
+    }
+
+    if (expiresAt < now) {
+        return 'Challenge expired';
+    }
+
+    if (spent.has(solution.challenge)) {
+        return 'Challenge already used';
+    }
+
+    const digest = crypto.createHash('sha256').update(`${solution.challenge}:${solution.nonce}`).digest();
+    if (leadingZeroBits(digest) < config.POW_DIFFICULTY) {
+        return 'Proof of work does not meet the difficulty';
+    }
+
+    spent.set(solution.challenge, expiresAt);
+    spent.forEach((expiry, challenge) => {
+        if (expiry < now) spent.delete(challenge);
+    });
+    return null;
+}
+
+module.exports = {
+    issueChallenge,
+    verifySolution
+};
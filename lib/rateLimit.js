@@ -0,0 +1,101 @@
+const config = require('./config');
+
+// Token-bucket rate limiting keyed only by hashed token and endpoint name.
+// Buckets live in memory and are never persisted; no IP address or other
+// request metadata is looked at, in line with the privacy promise.
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const PRUNE_INTERVAL = 10 * MINUTE;
+
+// A set of buckets with the same capacity and refill rate
+function createLimiter({ capacity, refillPerMs }) {
+    const buckets = new Map(); // key -> { tokens, updatedAt }
+
+    function refill(bucket, now) {
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+    }
+
+    // Take one token; returns { allowed, retryAfterMs }
+    function take(key, now = Date.now()) {
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: capacity, updatedAt: now };
+            buckets.set(key, bucket);
+        }
+        refill(bucket, now);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true, retryAfterMs: 0 };
+        }
+        return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+    }
+
+    // Give back a token taken for a request that turned out not to count
+    function refund(key, now = Date.now()) {
+        const bucket = buckets.get(key);
+        if (!bucket) return;
+        refill(bucket, now);
+        bucket.tokens = Math.min(capacity, bucket.tokens + 1);
+    }
+
+    // Forget buckets that have refilled completely
+    function prune(now = Date.now()) {
+        buckets.forEach((bucket, key) => {
+            refill(bucket, now);
+            if (bucket.tokens >= capacity) buckets.delete(key);
+        });
+    }
+
+    return { take, refund, prune };
+}
+
+const LIMITS = {
+    rumors: {
+        perToken: createLimiter({ capacity: config.RUMOR_TOKEN_BURST, refillPerMs: config.RUMOR_TOKEN_PER_HOUR / HOUR }),
+        global: createLimiter({ capacity: config.RUMOR_GLOBAL_PER_MINUTE, refillPerMs: config.RUMOR_GLOBAL_PER_MINUTE / MINUTE })
+    },
+    votes: {
+        perToken: createLimiter({ capacity: config.VOTE_TOKEN_BURST, refillPerMs: config.VOTE_TOKEN_PER_HOUR / HOUR }),
+        global: createLimiter({ capacity: config.VOTE_GLOBAL_PER_MINUTE, refillPerMs: config.VOTE_GLOBAL_PER_MINUTE / MINUTE })
+    },
+    comments: {
+        perToken: createLimiter({ capacity: config.COMMENT_TOKEN_BURST, refillPerMs: config.COMMENT_TOKEN_PER_HOUR / HOUR }),
+        global: createLimiter({ capacity: config.COMMENT_GLOBAL_PER_MINUTE, refillPerMs: config.COMMENT_GLOBAL_PER_MINUTE / MINUTE })
+    }
+};
+
+setInterval(() => {
+    Object.values(LIMITS).forEach(limit => {
+        limit.perToken.prune();
+        limit.global.prune();
+    });
+}, PRUNE_INTERVAL).unref();
+
+// Check the global and per-token buckets for an endpoint.
+// The per-token bucket is only charged once the global one admits the request.
+function check(endpoint, hashedToken) {
+    const limit = LIMITS[endpoint];
+
+    const global = limit.global.take('*');
+    if (!global.allowed) return global;
+
+    if (hashedToken) return limit.perToken.take(hashedToken);
+    return global;
+}
+
+// Give a token back its share of a check whose request was turned away before doing
+// anything (e.g. to solve a proof of work). The global bucket stays charged, so a
+// flood of unsolved requests still runs into the endpoint-wide limit.
+function refund(endpoint, hashedToken) {
+    if (hashedToken) LIMITS[endpoint].perToken.refund(hashedToken);
+}
+
+module.exports = {
+    LIMITS,
+    createLimiter,
+    check,
+    refund
+};
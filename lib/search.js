@@ -0,0 +1,115 @@
+const config = require('./config');
+const { QUARANTINED } = require('./moderation');
+const { all } = require('./sql');
+
+// Full-text search over rumor content.
+// sql.js ships FTS4 (not FTS5), so relevance is computed here as BM25 from
+// matchinfo() and then blended with the trust score. The index itself lives
+// in rumors_fts and is kept in sync by triggers (see lib/migrations).
+
+const MAX_TERMS = 10;
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_TOKENS = 12;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Highlight markers that cannot appear in stored text; replaced after escaping
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+// Turn user input into an FTS MATCH expression: every word must match, as a prefix.
+// Returns { error } or { match, terms }.
+function parseQuery(q) {
+    if (typeof q !== 'string' || q.trim().length === 0) {
+        return { error: 'Search query is required' };
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+        return { error: `Search query too long (max ${MAX_QUERY_LENGTH} characters)` };
+    }
+
+    const terms = [...new Set(q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+    if (terms.length === 0) {
+        return { error: 'Search query must contain letters or digits' };
+    }
+    if (terms.length > MAX_TERMS) {
+        return { error: `At most ${MAX_TERMS} search terms` };
+    }
+
+    return { match: terms.map(term => `"${term}"*`).join(' '), terms };
+}
+
+// BM25 for one row from matchinfo(rumors_fts, 'pcnalx') (32-bit unsigned ints)
+function bm25(matchinfo) {
+    const info = Buffer.from(matchinfo.buffer, matchinfo.byteOffset, matchinfo.byteLength);
+    const int = i => info.readUInt32LE(i * 4);
+
+    const phrases = int(0);
+    const docs = int(2);
+    const avgLength = int(3) || 1;
+    const length = int(4);
+
+    let score = 0;
+    for (let p = 0; p < phrases; p++) {
+        const base = 5 + p * 3;
+        const hits = int(base);
+        const docsWithHits = int(base + 2);
+        const idf = Math.log((docs - docsWithHits + 0.5) / (docsWithHits + 0.5) + 1);
+        score += idf * (hits * (K1 + 1)) / (hits + K1 * (1 - B + B * length / avgLength));
+    }
+    return score;
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// HTML-safe snippet with matches wrapped in <mark>
+function highlight(snippet) {
+    return escapeHtml(snippet)
+        .split(MARK_START).join('<mark>')
+        .split(MARK_END).join('</mark>');
+}
+
+// Matching rumors ranked by relevance (normalised to the best match) plus
+// SEARCH_TRUST_WEIGHT × trust score. Returns { total, results } for one page.
+function search(db, { match, status, limit, offset }) {
+    const conditions = ['rumors_fts MATCH ?', 'r.is_deleted = 0', `r.status != '${QUARANTINED}'`];
+    const params = [match];
+    if (status) {
+        conditions.push('r.status = ?');
+        params.push(status);
+    }
+
+    const rows = all(db, `
+        SELECT r.id, r.content, r.timestamp, r.verify_count, r.dispute_count, r.trust_score, r.uncertainty, r.submitter_token, r.status,
+               snippet(rumors_fts, '${MARK_START}', '${MARK_END}', '…', -1, ${SNIPPET_TOKENS}) AS snippet,
+               matchinfo(rumors_fts, 'pcnalx') AS matchinfo
+        FROM rumors_fts
+        JOIN rumors r ON r.id = rumors_fts.docid
+        WHERE ${conditions.join(' AND ')}
+    `, params);
+
+    const scored = rows.map(({ matchinfo, snippet, ...rumor }) => ({ rumor, snippet, bm25: bm25(matchinfo) }));
+    const best = Math.max(...scored.map(row => row.bm25), 0) || 1;
+
+    const results = scored
+        .map(({ rumor, snippet, bm25: raw }) => {
+            const relevance = raw / best;
+            return {
+                ...rumor,
+                snippet: highlight(snippet),
+                relevance,
+                score: relevance + config.SEARCH_TRUST_WEIGHT * rumor.trust_score
+            };
+        })
+        .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp);
+
+    return { total: results.length, results: results.slice(offset, offset + limit) };
+}
+
+module.exports = {
+    parseQuery,
+    search
+};
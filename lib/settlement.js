@@ -0,0 +1,167 @@
+const config = require('./config');
+const ledger = require('./ledger');
+const tags = require('./tags');
+const { all, get } = require('./sql');
+const { COUNTED_VOTE } = require('./sybil');
+
+// Credibility settlement.
+// A rumor settles once: when its weighted votes reach SETTLEMENT_MARGIN after
+// CONSENSUS_THRESHOLD votes, or unconditionally once it is archived or older
+// than SETTLEMENT_AGE. Settling credits every counted vote cast up to that
+// moment exactly once, through the credibility ledger. If an active rumor's
+// consensus later flips by the same margin, those credits are reversed and
+// the rumor settles again in the new direction. A rumor resolved as CONFIRMED
+// or DEBUNKED settles (or re-settles) in the direction of that outcome,
+// whatever its margin. Credits also apply to the voter's credibility on each
+// of the rumor's tags.
+
+const CREDIBILITY_INCREASE = 0.02;
+const CREDIBILITY_MULTIPLIER = 0.8;
+const HIGH_CONFIDENCE = 0.7;
+
+const NO_CONSENSUS = 'none';
+
+// Final outcome statuses and the vote direction each one settles
+const OUTCOMES = {
+    CONFIRMED: 'verify',
+    DEBUNKED: 'dispute'
+};
+
+// Statuses that settle unconditionally: the rumor no longer takes votes
+const FINAL_STATUSES = ['ARCHIVED', 'EXPIRED', ...Object.keys(OUTCOMES)];
+
+function getRumor(db, rumorId) {
+    return get(db, `
+        SELECT id, status, timestamp, verify_count, dispute_count, weighted_verify, weighted_dispute,
+               settled_at, settled_direction
+        FROM rumors WHERE id = ? AND is_deleted = 0
+    `, [rumorId]);
+}
+
+// Consensus direction and margin in [0, 1] from the weighted vote sides
+function consensus(rumor) {
+    const total = rumor.weighted_verify + rumor.weighted_dispute;
+    if (rumor.verify_count + rumor.dispute_count < config.CONSENSUS_THRESHOLD || total <= 0) {
+        return { direction: NO_CONSENSUS, margin: 0 };
+    }
+
+    const diff = rumor.weighted_verify - rumor.weighted_dispute;
+    return {
+        direction: diff > 0 ? 'verify' : diff < 0 ? 'dispute' : NO_CONSENSUS,
+        margin: Math.abs(diff) / total
+    };
+}
+
+// New credibility for a settled vote (aligned +0.02, confident and wrong ×0.8, otherwise -0.01)
+function creditFor(aligned, confidence) {
+    if (aligned) return credibility => credibility + CREDIBILITY_INCREASE;
+    if (confidence > HIGH_CONFIDENCE) return credibility => credibility * CREDIBILITY_MULTIPLIER;
+    return credibility => credibility - CREDIBILITY_INCREASE / 2;
+}
+
+// Record the side a recounted rumor's votes lean to, counting a change of side
+// once it has enough votes to have one (ties and too few votes keep the last side)
+function trackDirection(db, rumorId, score) {
+    const { direction } = consensus(score);
+    if (direction === NO_CONSENSUS) return;
+
+    db.run(`
+        UPDATE rumors
+        SET consensus_flips = consensus_flips + CASE WHEN consensus_direction IS NOT NULL AND consensus_direction != ? THEN 1 ELSE 0 END,
+            consensus_direction = ?
+        WHERE id = ?
+    `, [direction, direction, rumorId]);
+}
+
+// Credit counted votes cast up to the settlement that have not been credited yet
+function creditVotes(db, rumor, now) {
+    if (rumor.settled_direction === NO_CONSENSUS) return 0;
+
+    const votes = all(db, `
+        SELECT v.id, v.hashed_token, v.vote_type, v.confidence FROM votes v
+        WHERE v.rumor_id = ? AND v.timestamp <= ? AND ${COUNTED_VOTE}
+        AND NOT EXISTS (
+            SELECT 1 FROM credibility_ledger l
+            WHERE l.vote_id = v.id AND l.reason = 'settlement' AND l.reversed_by IS NULL
+        )
+        ORDER BY v.id ASC
+    `, [rumor.id, rumor.settled_at]);
+
+    const rumorTags = tags.forRumor(db, rumor.id);
+    votes.forEach(vote => {
+        const aligned = vote.vote_type === rumor.settled_direction;
+        ledger.applyChange(db, vote.hashed_token, creditFor(aligned, vote.confidence), {
+            reason: 'settlement',
+            rumorId: rumor.id,
+            voteId: vote.id,
+            aligned,
+            counted: 1,
+            tags: rumorTags,
+            now
+        });
+    });
+    return votes.length;
+}
+
+function settle(db, rumor, direction, now) {
+    db.run('UPDATE rumors SET settled_at = ?, settled_direction = ? WHERE id = ?', [now, direction, rumor.id]);
+    return creditVotes(db, { ...rumor, settled_at: now, settled_direction: direction }, now);
+}
+
+// Reverse every settlement credit on a rumor
+function unsettle(db, rumorId, now) {
+    const entries = ledger.activeEntries(db, "rumor_id = ? AND reason = 'settlement'", [rumorId]);
+    entries.forEach(entry => ledger.reverseEntry(db, entry, { now }));
+    return entries.length;
+}
+
+// Settle, re-settle or top up credits for a rumor as its state requires.
+// `final` forces settlement regardless of margin (archive or age).
+// Returns { action, direction, credited, reversed } or null if nothing changed.
+function evaluate(db, rumorId, { final = false, now = Date.now() } = {}) {
+    const rumor = getRumor(db, rumorId);
+    if (!rumor) return null;
+
+    const outcome = OUTCOMES[rumor.status];
+    const { direction, margin } = outcome ? { direction: outcome, margin: 1 } : consensus(rumor);
+    const decisive = direction !== NO_CONSENSUS && margin >= config.SETTLEMENT_MARGIN;
+
+    if (rumor.settled_at === null) {
+        if (!decisive && !final) return null;
+        if (!outcome && rumor.verify_count + rumor.dispute_count < config.CONSENSUS_THRESHOLD) {
+            return null; // Too few votes to judge
+        }
+        return { action: 'settled', direction, credited: settle(db, rumor, direction, now), reversed: 0 };
+    }
+
+    // Consensus flipped decisively (while votes are still coming in) or a resolution overrode it
+    if (decisive && direction !== rumor.settled_direction) {
+        const reversed = unsettle(db, rumor.id, now);
+        db.run('UPDATE rumors SET settlement_flips = settlement_flips + 1 WHERE id = ?', [rumor.id]);
+        return { action: 'resettled', direction, credited: settle(db, rumor, direction, now), reversed };
+    }
+
+    // Votes released from quarantine after settlement still get their single credit
+    const credited = creditVotes(db, rumor, now);
+    return credited > 0 ? { action: 'credited', direction: rumor.settled_direction, credited, reversed: 0 } : null;
+}
+
+// Unsettled rumors that must settle now: closed to votes or past the settlement age (quarantined ones wait for review)
+function findDue(db, now = Date.now()) {
+    return all(db, `
+        SELECT id, status, timestamp FROM rumors
+        WHERE settled_at IS NULL AND is_deleted = 0 AND status != 'QUARANTINED'
+        AND (verify_count + dispute_count) >= ?
+        AND (status IN (${FINAL_STATUSES.map(status => `'${status}'`).join(', ')}) OR timestamp < ?)
+    `, [config.CONSENSUS_THRESHOLD, now - config.SETTLEMENT_AGE]);
+}
+
+module.exports = {
+    NO_CONSENSUS,
+    OUTCOMES,
+    consensus,
+    trackDirection,
+    evaluate,
+    unsettle,
+    findDue
+};
@@ -0,0 +1,35 @@
+// Small helpers around sql.js prepared statements
+
+// All rows of a query as plain objects
+function all(db, sql, params = []) {
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+
+    const rows = [];
+    while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return rows;
+}
+
+// First row of a query, or null
+function get(db, sql, params = []) {
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+
+    const row = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
+    return row;
+}
+
+// Placeholder list for an IN (...) clause
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+module.exports = {
+    all,
+    get,
+    placeholders
+};
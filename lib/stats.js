@@ -0,0 +1,200 @@
+const config = require('./config');
+const comments = require('./comments');
+const listing = require('./listing');
+const { all, get, placeholders } = require('./sql');
+
+// Aggregate statistics for research, served from precomputed rollups.
+// The rollupStats maintenance job stores every metric as buckets of
+// { count, tokens }, where tokens is how many distinct tokens stand behind
+// the count (submitters for rumor metrics, voters for votes). Per-day
+// metrics are re-read only from the last rolled-up day on, so finished days
+// keep the values they ended with; distributions are recomputed each run over
+// rumors submitted (and tokens updated) within STATS_WINDOW, through the
+// timestamp indexes, so a run never reads the whole history.
+// Reports read only the rollups. A bucket backed by fewer than
+// STATS_MIN_GROUP_SIZE tokens is suppressed (k-anonymity), and so is the
+// next smallest bucket of a distribution when it would otherwise be the only
+// one, so it cannot be recovered from the others.
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const TRUST_BUCKET_WIDTH = 0.25;
+
+// Per-day metrics and the field each fills in a day of the report
+const DAILY_FIELDS = { rumors_per_day: 'rumors', votes_per_day: 'votes' };
+const DAILY_METRICS = Object.keys(DAILY_FIELDS);
+const DISTRIBUTIONS = ['rumors', 'rumor_status', 'trust_score', 'trust_label', 'credibility', 'consensus'];
+
+const VISIBLE = "is_deleted = 0 AND status != 'QUARANTINED'";
+const DAY_OF = "strftime('%Y-%m-%d', timestamp / 1000, 'unixepoch')";
+
+function dayOf(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Trust scores in [-1, 1) fall in TRUST_BUCKET_WIDTH-wide buckets named by their lower bound
+const TRUST_BUCKET = `
+    CASE WHEN trust_score < -1 THEN 'below -1' WHEN trust_score >= 1 THEN '1 and above'
+    ELSE printf('%.2f', -1 + CAST((trust_score + 1) / ${TRUST_BUCKET_WIDTH} AS INTEGER) * ${TRUST_BUCKET_WIDTH}) END
+`;
+
+const TRUST_LABEL = `CASE ${Object.entries(listing.TRUST_BANDS).map(([band, condition]) => `WHEN ${condition} THEN '${band}'`).join(' ')} END`;
+
+const CREDIBILITY_BAND = `CASE ${comments.BADGES.map(([minimum, badge]) => `WHEN credibility >= ${minimum} THEN '${badge}'`).join(' ')} ELSE 'low' END`;
+
+// Compute fresh rollup rows ({ metric, bucket, count, tokens }) without writing anything
+function compute(db, now = Date.now()) {
+    const last = get(db, `SELECT MAX(bucket) AS day FROM stats_rollups WHERE metric IN (${placeholders(DAILY_METRICS)})`, DAILY_METRICS);
+    const windowStart = now - config.STATS_WINDOW;
+    const since = last.day ? Date.parse(`${last.day}T00:00:00Z`) : windowStart;
+
+    return [
+        ...all(db, `
+            SELECT 'rumors_per_day' AS metric, ${DAY_OF} AS bucket, COUNT(*) AS count, COUNT(DISTINCT submitter_token) AS tokens
+            FROM rumors WHERE timestamp >= ? GROUP BY bucket
+        `, [since]),
+        ...all(db, `
+            SELECT 'votes_per_day' AS metric, ${DAY_OF} AS bucket, COUNT(*) AS count, COUNT(DISTINCT hashed_token) AS tokens
+            FROM votes WHERE timestamp >= ? GROUP BY bucket
+        `, [since]),
+        ...all(db, `
+            SELECT 'rumors' AS metric, 'total' AS bucket, COUNT(*) AS count, COUNT(DISTINCT submitter_token) AS tokens
+            FROM rumors WHERE timestamp >= ?
+        `, [windowStart]),
+        ...all(db, `
+            SELECT 'rumor_status' AS metric,
+                   CASE WHEN merged_into IS NOT NULL THEN 'MERGED' WHEN is_deleted = 1 THEN 'DELETED' ELSE status END AS bucket,
+                   COUNT(*) AS count, COUNT(DISTINCT submitter_token) AS tokens
+            FROM rumors WHERE timestamp >= ? GROUP BY bucket
+        `, [windowStart]),
+        ...all(db, `
+            SELECT 'trust_score' AS metric, ${TRUST_BUCKET} AS bucket, COUNT(*) AS count, COUNT(DISTINCT submitter_token) AS tokens
+            FROM rumors WHERE timestamp >= ? AND ${VISIBLE} GROUP BY bucket
+        `, [windowStart]),
+        ...all(db, `
+            SELECT 'trust_label' AS metric, ${TRUST_LABEL} AS bucket, COUNT(*) AS count, COUNT(DISTINCT submitter_token) AS tokens
+            FROM rumors WHERE timestamp >= ? AND ${VISIBLE} GROUP BY bucket
+        `, [windowStart]),
+        ...all(db, `
+            SELECT 'credibility' AS metric, ${CREDIBILITY_BAND} AS bucket, COUNT(*) AS count, COUNT(*) AS tokens
+            FROM user_credibility WHERE last_updated >= ? GROUP BY bucket
+        `, [windowStart]),
+        ...all(db, `
+            SELECT 'consensus' AS metric, 'reached' AS bucket, COUNT(*) AS count, COUNT(DISTINCT submitter_token) AS tokens
+            FROM rumors WHERE timestamp >= ? AND ${VISIBLE} AND consensus_direction IS NOT NULL
+            UNION ALL
+            SELECT 'consensus', 'settled', COUNT(*), COUNT(DISTINCT submitter_token)
+            FROM rumors WHERE timestamp >= ? AND ${VISIBLE} AND settled_at IS NOT NULL
+            UNION ALL
+            SELECT 'consensus', 'flipped', COUNT(*), COUNT(DISTINCT submitter_token)
+            FROM rumors WHERE timestamp >= ? AND ${VISIBLE} AND consensus_flips > 0
+        `, [windowStart, windowStart, windowStart])
+    ];
+}
+
+// Store computed rows: distributions are replaced, per-day buckets overwritten
+function save(db, rows, now = Date.now()) {
+    db.run(`DELETE FROM stats_rollups WHERE metric IN (${placeholders(DISTRIBUTIONS)})`, DISTRIBUTIONS);
+    rows.forEach(row => {
+        db.run(`
+            INSERT OR REPLACE INTO stats_rollups (metric, bucket, count, tokens, computed_at)
+            VALUES (?, ?, ?, ?, ?)
+        `, [row.metric, row.bucket, row.count, row.tokens, now]);
+    });
+}
+
+// Validate report options from a query string; returns { error } or { options }
+function parseReportOptions(query) {
+    const days = query.days !== undefined ? parseInt(query.days, 10) : DEFAULT_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+        return { error: `days must be between 1 and ${MAX_DAYS}` };
+    }
+    return { options: { days } };
+}
+
+// bucket -> count, with small buckets (and a lone small bucket's smallest neighbour) as null
+function suppressed(rows) {
+    const small = rows.filter(row => row.tokens < config.STATS_MIN_GROUP_SIZE && row.count > 0);
+    const large = rows.filter(row => !small.includes(row)).sort((a, b) => a.count - b.count);
+    if (small.length === 1 && large.length > 0) {
+        small.push(large[0]);
+    }
+
+    const counts = {};
+    rows.forEach(row => {
+        counts[row.bucket] = small.includes(row) ? null : row.count;
+    });
+    return counts;
+}
+
+// Trust score buckets in score order, open-ended ones at either end
+function trustBucketOrder(row) {
+    if (row.bucket === 'below -1') return -Infinity;
+    if (row.bucket === '1 and above') return Infinity;
+    return Number(row.bucket);
+}
+
+function rate(numerator, denominator) {
+    if (numerator === null || numerator === undefined || !denominator) return null;
+    return numerator / denominator;
+}
+
+// The published report, built from the rollups only
+function report(db, { days = DEFAULT_DAYS, now = Date.now() } = {}) {
+    const rows = all(db, 'SELECT metric, bucket, count, tokens, computed_at FROM stats_rollups ORDER BY metric, bucket');
+    const byMetric = {};
+    rows.forEach(row => {
+        (byMetric[row.metric] = byMetric[row.metric] || []).push(row);
+    });
+    const metric = name => byMetric[name] || [];
+
+    // Each day on its own: a day's count is only shown if enough tokens stand behind it
+    const firstDay = dayOf(now - (days - 1) * DAY);
+    const daily = {};
+    DAILY_METRICS.forEach(name => {
+        metric(name).filter(row => row.bucket >= firstDay).forEach(row => {
+            daily[row.bucket] = daily[row.bucket] || { day: row.bucket, rumors: 0, votes: 0 };
+            daily[row.bucket][DAILY_FIELDS[name]] = row.tokens < config.STATS_MIN_GROUP_SIZE ? null : row.count;
+        });
+    });
+
+    const total = suppressed(metric('rumors')).total;
+    const byStatus = suppressed(metric('rumor_status'));
+    const consensus = {};
+    metric('consensus').forEach(row => {
+        consensus[row.bucket] = row.count > 0 && row.tokens < config.STATS_MIN_GROUP_SIZE ? null : row.count;
+    });
+
+    return {
+        computed_at: rows.length > 0 ? Math.max(...rows.map(row => row.computed_at)) : null,
+        min_group_size: config.STATS_MIN_GROUP_SIZE,
+        window_days: config.STATS_WINDOW / DAY,
+        daily: Object.values(daily).sort((a, b) => a.day.localeCompare(b.day)),
+        rumors: {
+            total: total === undefined ? 0 : total,
+            by_status: byStatus,
+            archive_rate: rate(byStatus.ARCHIVED, total),
+            delete_rate: rate(byStatus.DELETED, total)
+        },
+        trust_scores: suppressed(metric('trust_score').sort((a, b) => trustBucketOrder(a) - trustBucketOrder(b))),
+        trust_labels: suppressed(metric('trust_label')),
+        credibility: suppressed(metric('credibility')),
+        consensus: {
+            threshold: config.CONSENSUS_THRESHOLD,
+            reached: consensus.reached === undefined ? 0 : consensus.reached,
+            settled: consensus.settled === undefined ? 0 : consensus.settled,
+            flipped: consensus.flipped === undefined ? 0 : consensus.flipped,
+            flip_rate: rate(consensus.flipped, consensus.reached)
+        }
+    };
+}
+
+module.exports = {
+    DAILY_METRICS,
+    DISTRIBUTIONS,
+    compute,
+    save,
+    parseReportOptions,
+    report
+};
@@ -0,0 +1,103 @@
+const config = require('./config');
+const { all, get, placeholders } = require('./sql');
+
+// Sybil resistance for voting.
+// Tokens stay on probation until they are PROBATION_AGE old and have cast
+// PROBATION_MIN_VOTES counted votes; until then their votes are recorded at a
+// damped weight. When BURST_MIN_VOTES probation votes hit the same rumor in
+// the same direction within BURST_WINDOW, the whole burst is quarantined:
+// those votes stop counting until a reviewer releases or rejects them.
+
+const QUARANTINED = 'QUARANTINED';
+const RELEASED = 'RELEASED';
+const REJECTED = 'REJECTED';
+
+// SQL condition for votes that count toward scores and credibility
+const COUNTED_VOTE = "(quarantine_status IS NULL OR quarantine_status = 'RELEASED')";
+
+function isOnProbation(db, hashedToken, now = Date.now()) {
+    const user = get(db, 'SELECT created_at FROM user_credibility WHERE hashed_token = ?', [hashedToken]);
+    if (!user || now - user.created_at < config.PROBATION_AGE) return true;
+
+    const { votes } = get(db, `SELECT COUNT(*) AS votes FROM votes WHERE hashed_token = ? AND ${COUNTED_VOTE}`, [hashedToken]);
+    return votes < config.PROBATION_MIN_VOTES;
+}
+
+// Multiplier applied to a vote's weight
+function probationFactor(onProbation) {
+    return onProbation ? config.PROBATION_DAMPING : 1;
+}
+
+// Counted probation votes that form a burst with the latest vote, or [] if there is no burst
+function findBurst(db, rumorId, voteType, now = Date.now()) {
+    const recent = all(db, `
+        SELECT id, quarantine_status FROM votes
+        WHERE rumor_id = ? AND vote_type = ? AND probation = 1 AND timestamp >= ?
+        AND (quarantine_status IS NULL OR quarantine_status = 'QUARANTINED')
+    `, [rumorId, voteType, now - config.BURST_WINDOW]);
+
+    if (recent.length < config.BURST_MIN_VOTES) return [];
+    return recent.filter(vote => vote.quarantine_status === null);
+}
+
+function getVotes(db, voteIds) {
+    if (voteIds.length === 0) return [];
+    return all(db, `
+        SELECT id, rumor_id, hashed_token, vote_type, timestamp, vote_weight, confidence, quarantine_status
+        FROM votes WHERE id IN (${placeholders(voteIds)})
+    `, voteIds);
+}
+
+// Quarantine counted votes; callers recompute the affected rumors' scores
+function quarantineVotes(db, voteIds) {
+    const votes = getVotes(db, voteIds).filter(vote => vote.quarantine_status === null);
+    if (votes.length === 0) return [];
+
+    const ids = votes.map(vote => vote.id);
+    db.run(`UPDATE votes SET quarantine_status = '${QUARANTINED}' WHERE id IN (${placeholders(ids)})`, ids);
+    return votes;
+}
+
+// Resolve quarantined votes: released votes count again, rejected ones never will
+function reviewVotes(db, voteIds, decision) {
+    const votes = getVotes(db, voteIds).filter(vote => vote.quarantine_status === QUARANTINED);
+    if (votes.length === 0) return [];
+
+    const ids = votes.map(vote => vote.id);
+    db.run(`UPDATE votes SET quarantine_status = ? WHERE id IN (${placeholders(ids)})`, [decision, ...ids]);
+    return votes;
+}
+
+// Quarantined votes grouped by rumor, for review (tokens are left out on purpose)
+function listQuarantine(db) {
+    const votes = all(db, `
+        SELECT v.id, v.rumor_id, v.vote_type, v.timestamp, v.vote_weight, v.confidence,
+               r.content, r.status
+        FROM votes v
+        JOIN rumors r ON r.id = v.rumor_id
+        WHERE v.quarantine_status = '${QUARANTINED}'
+        ORDER BY v.rumor_id ASC, v.timestamp ASC
+    `);
+
+    const byRumor = new Map();
+    votes.forEach(({ content, status, ...vote }) => {
+        if (!byRumor.has(vote.rumor_id)) {
+            byRumor.set(vote.rumor_id, { rumor_id: vote.rumor_id, content, status, votes: [] });
+        }
+        byRumor.get(vote.rumor_id).votes.push(vote);
+    });
+    return Array.from(byRumor.values());
+}
+
+module.exports = {
+    QUARANTINED,
+    RELEASED,
+    REJECTED,
+    COUNTED_VOTE,
+    isOnProbation,
+    probationFactor,
+    findBurst,
+    quarantineVotes,
+    reviewVotes,
+    listQuarantine
+};
@@ -0,0 +1,92 @@
+const config = require('./config');
+const ledger = require('./ledger');
+const { all, get, placeholders } = require('./sql');
+
+// Category tags.
+// Submitters pick up to MAX_TAGS_PER_RUMOR tags from the configured set. Tags
+// also scope credibility: settlement credits a voter's credibility on each
+// of the rumor's tags, and votes on a tagged rumor are weighted by the
+// voter's credibility on those tags rather than their overall credibility.
+
+function isTag(tag) {
+    return config.TAGS.includes(tag);
+}
+
+// Validate submitted tags; returns { error } or { tags } (lowercased, without duplicates)
+function parseTags(input) {
+    if (input === undefined || input === null) return { tags: [] };
+    if (!Array.isArray(input) || input.some(tag => typeof tag !== 'string')) {
+        return { error: 'Tags must be an array of strings' };
+    }
+
+    const tags = [...new Set(input.map(tag => tag.trim().toLowerCase()))];
+    const unknown = tags.filter(tag => !isTag(tag));
+    if (unknown.length > 0) {
+        return { error: `Unknown tag "${unknown[0]}" (allowed: ${config.TAGS.join(', ')})` };
+    }
+
+    if (tags.length > config.MAX_TAGS_PER_RUMOR) {
+        return { error: `At most ${config.MAX_TAGS_PER_RUMOR} tags per rumor` };
+    }
+
+    return { tags };
+}
+
+function store(db, rumorId, tags) {
+    tags.forEach(tag => {
+        db.run('INSERT OR IGNORE INTO rumor_tags (rumor_id, tag) VALUES (?, ?)', [rumorId, tag]);
+    });
+}
+
+function forRumor(db, rumorId) {
+    return all(db, 'SELECT tag FROM rumor_tags WHERE rumor_id = ? ORDER BY tag ASC', [rumorId]).map(row => row.tag);
+}
+
+// Tags of several rumors at once, as a Map of rumor id -> tags
+function listFor(db, rumorIds) {
+    const byRumor = new Map(rumorIds.map(id => [id, []]));
+    if (rumorIds.length === 0) return byRumor;
+
+    all(db, `
+        SELECT rumor_id, tag FROM rumor_tags
+        WHERE rumor_id IN (${placeholders(rumorIds)})
+        ORDER BY tag ASC
+    `, rumorIds).forEach(row => byRumor.get(row.rumor_id).push(row.tag));
+
+    return byRumor;
+}
+
+// Configured tags with the number of visible rumors carrying each
+function counts(db) {
+    const rows = all(db, `
+        SELECT t.tag, COUNT(*) AS rumors FROM rumor_tags t
+        JOIN rumors r ON r.id = t.rumor_id
+        WHERE r.is_deleted = 0
+        GROUP BY t.tag
+    `);
+    const byTag = new Map(rows.map(row => [row.tag, row.rumors]));
+    return config.TAGS.map(tag => ({ tag, rumors: byTag.get(tag) || 0 }));
+}
+
+// Credibility a token carries on a rumor with these tags: the mean of its
+// per-tag credibility (default for tags it has no record on), or its overall
+// credibility for untagged rumors
+function credibilityFor(db, hashedToken, tags) {
+    const user = get(db, 'SELECT credibility, tag_credibility FROM user_credibility WHERE hashed_token = ?', [hashedToken]);
+    if (!user) return ledger.DEFAULT_CREDIBILITY;
+    if (tags.length === 0) return user.credibility;
+
+    const byTag = ledger.tagCredibility(user);
+    const total = tags.reduce((sum, tag) => sum + (byTag[tag] !== undefined ? byTag[tag] : ledger.DEFAULT_CREDIBILITY), 0);
+    return total / tags.length;
+}
+
+module.exports = {
+    isTag,
+    parseTags,
+    store,
+    forRumor,
+    listFor,
+    counts,
+    credibilityFor
+};
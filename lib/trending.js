@@ -0,0 +1,109 @@
+const config = require('./config');
+const events = require('./events');
+const { afterCommit } = require('./db');
+const { COUNTED_VOTE } = require('./sybil');
+
+// Trending ranking by time-decayed vote velocity.
+// Each active rumor keeps a running score that decays exponentially with the
+// configured half-life. A vote adds vote_weight × confidence after decaying
+// the previous score to the vote time, so ranking never rescans the votes
+// table; it is only read once on startup to seed the scores. Votes recorded
+// inside a transaction only count once it commits.
+
+const MIN_SCORE = 0.001; // Scores below this have decayed away and are dropped
+const SEED_HALF_LIVES = 20; // Votes older than this contribute < MIN_SCORE
+
+const scores = new Map(); // rumorId -> { score, at }
+let cache = null; // { ranking, expiresAt }
+
+function decay(score, from, to) {
+    return score * Math.pow(0.5, (to - from) / config.TRENDING_HALF_LIFE);
+}
+
+// Add a vote's weight to a rumor's running score (after the open transaction commits)
+function recordVote(rumorId, weight, timestamp = Date.now()) {
+    afterCommit(() => addScore(rumorId, weight, timestamp));
+}
+
+function addScore(rumorId, weight, timestamp) {
+    const entry = scores.get(rumorId);
+    if (!entry) {
+        scores.set(rumorId, { score: weight, at: timestamp });
+    } else if (timestamp >= entry.at) {
+        entry.score = decay(entry.score, entry.at, timestamp) + weight;
+        entry.at = timestamp;
+    } else {
+        entry.score += decay(weight, timestamp, entry.at);
+    }
+    cache = null;
+}
+
+function removeRumor(rumorId) {
+    if (scores.delete(rumorId)) {
+        cache = null;
+    }
+}
+
+// Rumor ids ordered by current decayed score, cached for a short while
+function getRanking(now = Date.now()) {
+    if (cache && cache.expiresAt > now) {
+        return cache.ranking;
+    }
+
+    const ranking = [];
+    scores.forEach((entry, rumorId) => {
+        const score = decay(entry.score, entry.at, now);
+        if (score < MIN_SCORE) {
+            scores.delete(rumorId);
+        } else {
+            ranking.push({ rumorId, score });
+        }
+    });
+    ranking.sort((a, b) => b.score - a.score || b.rumorId - a.rumorId);
+
+    cache = { ranking, expiresAt: now + config.TRENDING_CACHE_TTL };
+    return ranking;
+}
+
+// Rebuild scores from recent counted votes on active rumors (all of them, or just `rumorId`)
+function seed(db, rumorId = null) {
+    const since = Date.now() - SEED_HALF_LIVES * config.TRENDING_HALF_LIFE;
+    const stmt = db.prepare(`
+        SELECT v.rumor_id, v.vote_weight, v.confidence, v.timestamp
+        FROM votes v
+        JOIN rumors r ON r.id = v.rumor_id
+        WHERE r.status = 'ACTIVE' AND r.is_deleted = 0 AND v.timestamp >= ? AND ${COUNTED_VOTE}
+        ${rumorId === null ? '' : 'AND v.rumor_id = ?'}
+        ORDER BY v.timestamp ASC
+    `);
+    stmt.bind(rumorId === null ? [since] : [since, rumorId]);
+    while (stmt.step()) {
+        const vote = stmt.getAsObject();
+        recordVote(vote.rumor_id, vote.vote_weight * vote.confidence, vote.timestamp);
+    }
+    stmt.free();
+}
+
+// Seed scores from recent votes on active rumors and follow rumor lifecycle events.
+// A quarantined rumor leaves the ranking; if its review keeps it, its score is rebuilt.
+function init(db) {
+    scores.clear();
+    cache = null;
+    seed(db);
+
+    events.subscribe(event => {
+        if (['rumor.deleted', 'rumor.archived', 'rumor.expired', 'rumor.resolved', 'rumor.merged', 'rumor.quarantined'].includes(event.type)) {
+            removeRumor(Number(event.data.id));
+        } else if (event.type === 'rumor.restored') {
+            removeRumor(Number(event.data.id));
+            seed(db, Number(event.data.id));
+        }
+    });
+}
+
+module.exports = {
+    init,
+    recordVote,
+    removeRumor,
+    getRanking
+};
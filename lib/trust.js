@@ -0,0 +1,172 @@
+const config = require('./config');
+const settlement = require('./settlement');
+const { all, get } = require('./sql');
+const { COUNTED_VOTE } = require('./sybil');
+
+// Trust score engine.
+// A rumor's score is a pure function of its submission weight and its counted
+// votes, so it can be recomputed at any time and compared with what is stored.
+// Each vote contributes weight = vote_weight × confidence to its side; a vote
+// (or submission) backed by evidence counts EVIDENCE_WEIGHT_BONUS times more,
+// if the evidence came with it: evidence added later does not raise its weight.
+// Strategies that estimate an uncertainty store it too; it is NULL otherwise.
+// Storing a score also records which side the votes lean to (for statistics).
+
+const STRATEGIES = {
+    // Submission weight plus the signed sum of vote weights (the original formula)
+    additive: ({ verify, dispute }) => ({
+        trust_score: verify - dispute
+    }),
+
+    // (v - d) / (v + d) over the weighted vote sides, in [-1, 1]; the submission
+    // is left out, or it alone would score an unvoted rumor 1
+    normalized: ({ voteVerify, dispute }) => ({
+        trust_score: voteVerify + dispute > 0 ? (voteVerify - dispute) / (voteVerify + dispute) : 0
+    }),
+
+    // Beta posterior over "the rumor is true" with weighted pseudo-counts;
+    // the score is the posterior mean mapped to [-1, 1], uncertainty its scaled std deviation
+    bayesian: ({ verify, dispute }) => {
+        const alpha = config.TRUST_PRIOR + verify;
+        const beta = config.TRUST_PRIOR + dispute;
+        const mean = alpha / (alpha + beta);
+        const variance = (alpha * beta) / (Math.pow(alpha + beta, 2) * (alpha + beta + 1));
+        return {
+            trust_score: 2 * mean - 1,
+            uncertainty: 2 * Math.sqrt(variance)
+        };
+    }
+};
+
+function isStrategy(name) {
+    return Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+}
+
+if (!isStrategy(config.TRUST_STRATEGY)) {
+    throw new Error(`TRUST_STRATEGY must be one of: ${Object.keys(STRATEGIES).join(', ')}`);
+}
+
+// Scores written under another strategy would be replaced by the next vote, so only the configured one is applied
+function applyMismatchError(strategy) {
+    return `Only the configured strategy (${config.TRUST_STRATEGY}) can be applied; set TRUST_STRATEGY=${strategy} to switch`;
+}
+
+function evidenceFactor(hasEvidence) {
+    return hasEvidence ? config.EVIDENCE_WEIGHT_BONUS : 1;
+}
+
+// Score a rumor from its submission weight and counted votes
+function computeScore(rumor, votes, strategy = config.TRUST_STRATEGY) {
+    const submission = (rumor.submission_weight || 0) * evidenceFactor(rumor.has_evidence);
+    let voteVerify = 0;
+    let dispute = 0;
+    let verifyCount = 0;
+    let disputeCount = 0;
+
+    votes.forEach(vote => {
+        const weight = vote.vote_weight * vote.confidence * evidenceFactor(vote.has_evidence);
+        if (vote.vote_type === 'verify') {
+            voteVerify += weight;
+            verifyCount++;
+        } else {
+            dispute += weight;
+            disputeCount++;
+        }
+    });
+
+    const verify = submission + voteVerify;
+    return {
+        verify_count: verifyCount,
+        dispute_count: disputeCount,
+        weighted_verify: verify,
+        weighted_dispute: dispute,
+        uncertainty: null,
+        ...STRATEGIES[strategy]({ verify, dispute, voteVerify })
+    };
+}
+
+// Whether the submitter attached evidence with the rumor (used inside a query on rumors)
+const SUBMISSION_EVIDENCE = 'EXISTS (SELECT 1 FROM evidence e WHERE e.rumor_id = rumors.id AND e.vote_id IS NULL AND e.initial = 1)';
+
+function getCountedVotes(db, rumorId) {
+    return all(db, `
+        SELECT vote_type, vote_weight, confidence,
+               EXISTS (SELECT 1 FROM evidence e WHERE e.vote_id = votes.id AND e.initial = 1) AS has_evidence
+        FROM votes
+        WHERE rumor_id = ? AND ${COUNTED_VOTE}
+    `, [rumorId]);
+}
+
+// Recompute a rumor's score from scratch; null if the rumor does not exist
+function recompute(db, rumorId, strategy = config.TRUST_STRATEGY) {
+    const rumor = get(db, `SELECT id, submission_weight, ${SUBMISSION_EVIDENCE} AS has_evidence FROM rumors WHERE id = ?`, [rumorId]);
+    if (!rumor) return null;
+    return computeScore(rumor, getCountedVotes(db, rumorId), strategy);
+}
+
+function store(db, rumorId, score) {
+    db.run(`
+        UPDATE rumors
+        SET verify_count = ?, dispute_count = ?, weighted_verify = ?, weighted_dispute = ?, trust_score = ?, uncertainty = ?
+        WHERE id = ?
+    `, [score.verify_count, score.dispute_count, score.weighted_verify, score.weighted_dispute, score.trust_score,
+        score.uncertainty, rumorId]);
+    settlement.trackDirection(db, rumorId, score);
+}
+
+// Recompute and store a rumor's score and counts; returns the new values
+function refreshRumor(db, rumorId) {
+    const score = recompute(db, rumorId);
+    if (score) store(db, rumorId, score);
+    return score;
+}
+
+const EPSILON = 1e-9;
+
+function differs(a, b) {
+    if (a === null || b === null) return a !== b;
+    return Math.abs(a - b) > EPSILON;
+}
+
+// Recompute every rumor and compare with the stored values; apply stores the results
+function rebuildAll(db, { strategy = config.TRUST_STRATEGY, apply = false } = {}) {
+    const rumors = all(db, `
+        SELECT id, submission_weight, verify_count, dispute_count, weighted_verify, weighted_dispute, trust_score, uncertainty,
+               ${SUBMISSION_EVIDENCE} AS has_evidence
+        FROM rumors ORDER BY id ASC
+    `);
+
+    const diffs = [];
+    rumors.forEach(rumor => {
+        const score = computeScore(rumor, getCountedVotes(db, rumor.id), strategy);
+        const changed = ['trust_score', 'uncertainty', 'weighted_verify', 'weighted_dispute', 'verify_count', 'dispute_count']
+            .filter(field => differs(score[field], rumor[field]));
+
+        if (changed.length > 0) {
+            diffs.push({
+                id: rumor.id,
+                changed,
+                stored: {
+                    trust_score: rumor.trust_score,
+                    uncertainty: rumor.uncertainty,
+                    verify_count: rumor.verify_count,
+                    dispute_count: rumor.dispute_count
+                },
+                computed: score
+            });
+            if (apply) store(db, rumor.id, score);
+        }
+    });
+
+    return { strategy, applied: apply, total: rumors.length, changed: diffs.length, diffs };
+}
+
+module.exports = {
+    STRATEGIES,
+    isStrategy,
+    applyMismatchError,
+    computeScore,
+    recompute,
+    refreshRumor,
+    rebuildAll
+};
@@ -0,0 +1,76 @@
+const config = require('./config');
+const { get } = require('./sql');
+
+// Changing and retracting votes.
+// Only possible until the rumor settles: a vote that has been credited (or
+// penalised) at settlement stays as it was, so waiting for the outcome and
+// then backing out cannot undo a penalty. A changed vote is treated as
+// freshly cast (its timestamp moves to the change time), and a cooldown
+// between vote actions on the same rumor stops flip-flopping after the crowd.
+// Evidence backs the side it was attached with, so a vote that switches side
+// or is retracted loses its evidence (and with it the evidence bonus).
+
+const SETTLED_ERROR = 'Votes on a settled rumor can no longer be changed or retracted';
+
+// Milliseconds until the token may act on its vote for this rumor again (0 if allowed)
+function cooldownRemaining(db, rumorId, hashedToken, now = Date.now()) {
+    const last = get(db, `
+        SELECT MAX(at) AS at FROM (
+            SELECT timestamp AS at FROM votes WHERE rumor_id = ? AND hashed_token = ?
+            UNION ALL
+            SELECT created_at AS at FROM vote_changes WHERE rumor_id = ? AND hashed_token = ?
+        )
+    `, [rumorId, hashedToken, rumorId, hashedToken]);
+
+    if (!last || last.at === null) return 0;
+    return Math.max(0, last.at + config.VOTE_CHANGE_COOLDOWN - now);
+}
+
+function record(db, vote, action, to, now = Date.now()) {
+    db.run(`
+        INSERT INTO vote_changes (rumor_id, hashed_token, action, from_type, to_type, from_confidence, to_confidence, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        vote.rumor_id,
+        vote.hashed_token,
+        action,
+        vote.vote_type,
+        to ? to.voteType : null,
+        vote.confidence,
+        to ? to.confidence : null,
+        now
+    ]);
+}
+
+// Move `vote` to a new direction, confidence and weight ({ voteType, confidence, voteWeight, probation });
+// a switch of direction drops its evidence.
+// `rumor` needs settled_at. Returns { error } or {}.
+function change(db, rumor, vote, to, now = Date.now()) {
+    if (rumor.settled_at !== null) return { error: SETTLED_ERROR };
+
+    db.run(`
+        UPDATE votes SET vote_type = ?, confidence = ?, vote_weight = ?, probation = ?, timestamp = ?
+        WHERE id = ?
+    `, [to.voteType, to.confidence, to.voteWeight, to.probation ? 1 : 0, now, vote.id]);
+    if (to.voteType !== vote.vote_type) {
+        db.run('DELETE FROM evidence WHERE vote_id = ?', [vote.id]);
+    }
+    record(db, vote, 'change', to, now);
+    return {};
+}
+
+// Delete `vote` and its evidence. `rumor` needs settled_at. Returns { error } or {}.
+function retract(db, rumor, vote, now = Date.now()) {
+    if (rumor.settled_at !== null) return { error: SETTLED_ERROR };
+
+    db.run('DELETE FROM votes WHERE id = ?', [vote.id]);
+    db.run('DELETE FROM evidence WHERE vote_id = ?', [vote.id]);
+    record(db, vote, 'retract', null, now);
+    return {};
+}
+
+module.exports = {
+    cooldownRemaining,
+    change,
+    retract
+};
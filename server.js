@@ -1,117 +1,132 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const initSqlJs = require('sql.js');
+const config = require('./lib/config');
+const store = require('./lib/db');
+const events = require('./lib/events');
+const listing = require('./lib/listing');
+const trending = require('./lib/trending');
+const maintenance = require('./lib/maintenance');
+const rateLimit = require('./lib/rateLimit');
+const pow = require('./lib/pow');
+const sybil = require('./lib/sybil');
+const trust = require('./lib/trust');
+const ledger = require('./lib/ledger');
+const settlement = require('./lib/settlement');
+const history = require('./lib/history');
+const voteChanges = require('./lib/voteChanges');
+const evidence = require('./lib/evidence');
+const comments = require('./lib/comments');
+const tags = require('./lib/tags');
+const search = require('./lib/search');
+const duplicates = require('./lib/duplicates');
+const dataset = require('./lib/dataset');
+const moderation = require('./lib/moderation');
+const contentFilter = require('./lib/contentFilter');
+const lifecycle = require('./lib/lifecycle');
+const linking = require('./lib/linking');
+const stats = require('./lib/stats');
+const { get } = require('./lib/sql');
 
 const app = express();
 const PORT = 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '4mb' })); // Room for base64 evidence images
 app.use(express.static('public'));
+app.use('/evidence', express.static(config.EVIDENCE_DIR));
 
-// Initialize SQLite database
+// Database handle (see lib/db.js)
 let db;
-const dbPath = 'rumors.db';
 
-async function initDatabase() {
-    const SQL = await initSqlJs();
+// Utility: Validate hashed token (should be 64-char hex SHA-256)
+function isValidHashedToken(token) {
+    return /^[a-f0-9]{64}$/i.test(token);
+}
 
-    // Load existing database or create new one
-    if (fs.existsSync(dbPath)) {
-        const buffer = fs.readFileSync(dbPath);
-        db = new SQL.Database(buffer);
-    } else {
-        db = new SQL.Database();
+// Middleware: Restrict admin endpoints to requests carrying the configured X-Admin-Key
+function requireAdmin(req, res, next) {
+    if (!config.ADMIN_KEY) {
+        return res.status(403).json({ success: false, error: 'Admin endpoints are disabled (ADMIN_KEY not set)' });
     }
 
-    // Create tables
-    db.run(`
-    CREATE TABLE IF NOT EXISTS rumors (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      content TEXT NOT NULL,
-      timestamp INTEGER NOT NULL,
-      verify_count INTEGER DEFAULT 0,
-      dispute_count INTEGER DEFAULT 0,
-      weighted_verify REAL DEFAULT 0,
-      weighted_dispute REAL DEFAULT 0,
-      trust_score REAL DEFAULT 0,
-      is_deleted INTEGER DEFAULT 0,
-      is_archived INTEGER DEFAULT 0,
-      submitter_token TEXT,
-      status TEXT DEFAULT 'ACTIVE'
-    )
-  `);
-
-    // Migrate rumors table if it exists but is missing columns
-    const rumorsColumns = [
-        "weighted_verify REAL DEFAULT 0",
-        "weighted_dispute REAL DEFAULT 0",
-        "is_deleted INTEGER DEFAULT 0",
-        "is_archived INTEGER DEFAULT 0",
-        "submitter_token TEXT",
-        "status TEXT DEFAULT 'ACTIVE'"
-    ];
-    rumorsColumns.forEach(col => {
-        try {
-            db.run(`ALTER TABLE rumors ADD COLUMN ${col}`);
-        } catch (e) {
-            // Column likely already exists
+    const provided = Buffer.from(req.get('X-Admin-Key') || '');
+    const expected = Buffer.from(config.ADMIN_KEY);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ success: false, error: 'Invalid admin key' });
+    }
+
+    next();
+}
+
+// Middleware: Run the rest of the request in one database transaction. It commits
+// (journaled, see lib/db.js) just before the response is sent, or rolls back if the
+// response is a 5xx. Handlers are synchronous, so the transaction is closed by the
+// time next() returns. Events and trending updates made meanwhile are held until
+// the commit (store.afterCommit) and dropped on rollback.
+function transactional(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (store.inTransaction()) {
+            if (res.statusCode >= 500) {
+                store.rollbackTransaction();
+            } else {
+                store.commitTransaction();
+            }
         }
-    });
+        return json(body);
+    };
 
-    db.run(`
-    CREATE TABLE IF NOT EXISTS votes (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      rumor_id INTEGER NOT NULL,
-      hashed_token TEXT NOT NULL,
-      vote_type TEXT NOT NULL,
-      timestamp INTEGER NOT NULL,
-      vote_weight REAL DEFAULT 1.0,
-      confidence REAL DEFAULT 1.0,
-      UNIQUE(rumor_id, hashed_token),
-      FOREIGN KEY (rumor_id) REFERENCES rumors(id)
-    )
-  `);
-
-    // Migrate votes table
-    const votesColumns = ["vote_weight REAL DEFAULT 1.0", "confidence REAL DEFAULT 1.0"];
-    votesColumns.forEach(col => {
-        try {
-            db.run(`ALTER TABLE votes ADD COLUMN ${col}`);
-        } catch (e) {
-            // Column likely already exists
+    store.beginTransaction();
+    try {
+        next();
+    } finally {
+        store.rollbackTransaction(); // No-op unless the handler failed without responding
+    }
+}
+
+// Middleware: Global and per-token rate limits for an endpoint
+function rateLimited(endpoint) {
+    return (req, res, next) => {
+        const { hashedToken } = req.body;
+        const key = isValidHashedToken(hashedToken) ? hashedToken : null;
+        const result = rateLimit.check(endpoint, key);
+
+        if (!result.allowed) {
+            return sendRetryLater(res, result.retryAfterMs, 'Too many requests, please slow down');
         }
-    });
 
-    db.run(`
-    CREATE TABLE IF NOT EXISTS user_credibility (
-      hashed_token TEXT PRIMARY KEY,
-      credibility REAL DEFAULT 0.1,
-      total_votes INTEGER DEFAULT 0,
-      aligned_votes INTEGER DEFAULT 0,
-      created_at INTEGER NOT NULL,
-      last_updated INTEGER NOT NULL
-    )
-  `);
-
-    saveDatabase();
+        req.rateLimit = { endpoint, key };
+        next();
+    };
 }
 
-// Save database to file
-function saveDatabase() {
-    if (!db) return;
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(dbPath, buffer);
+// Utility: Respond 429 with a Retry-After header
+function sendRetryLater(res, retryAfterMs, error) {
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ success: false, error, retry_after: retryAfter });
 }
 
-// Utility: Validate hashed token (should be 64-char hex SHA-256)
-function isValidHashedToken(token) {
-    return /^[a-f0-9]{64}$/i.test(token);
+// Utility: Respond 428 with a fresh proof-of-work challenge. The request did nothing,
+// so the token's own bucket is refunded for the retry with the solution; the global one is not.
+function sendChallenge(req, res, hashedToken, error) {
+    if (req.rateLimit) {
+        rateLimit.refund(req.rateLimit.endpoint, req.rateLimit.key);
+    }
+    return res.status(428).json({ success: false, error, challenge: pow.issueChallenge(hashedToken) });
+}
+
+// Utility: Check the proof-of-work required from tokens without a credibility row
+function checkNewTokenChallenge(hashedToken, solution) {
+    const stmt = db.prepare('SELECT 1 FROM user_credibility WHERE hashed_token = ?');
+    stmt.bind([hashedToken]);
+    const known = stmt.step();
+    stmt.free();
+
+    return known ? null : pow.verifySolution(hashedToken, solution);
 }
 
 // Utility: Get or create user credibility
@@ -134,155 +149,174 @@ function getUserCredibility(hashedToken) {
     VALUES (?, 0.1, 0, 0, ?, ?)
   `, [hashedToken, now, now]);
 
-    saveDatabase();
     return 0.1;
 }
 
-// Utility: Update credibility for all voters when rumor reaches consensus threshold
-function updateVoterCredibility(rumorId) {
-    const CONSENSUS_THRESHOLD = 5; // Minimum votes to trigger credibility update
+// Credibility penalty for deleting your own rumor or comment
+const DELETE_PENALTY = 0.1;
 
-    // Get rumor details
-    const rumorStmt = db.prepare('SELECT verify_count, dispute_count, trust_score FROM rumors WHERE id = ?');
-    rumorStmt.bind([rumorId]);
-    const hasRumor = rumorStmt.step();
-    const rumor = hasRumor ? rumorStmt.getAsObject() : null;
-    rumorStmt.free();
-
-    if (!rumor) return;
-
-    const totalVotes = rumor.verify_count + rumor.dispute_count;
+// Utility: Apply the owner-deletion penalty through the credibility ledger
+function applyDeletePenalty(hashedToken, reason, rumorId) {
+    if (ledger.applyChange(db, hashedToken, credibility => credibility - DELETE_PENALTY, { reason, rumorId })) {
+        console.log(`Penalty applied to owner: ${hashedToken}`);
+    }
+}
 
-    if (totalVotes < CONSENSUS_THRESHOLD) {
-        return; // Not enough votes to determine consensus
+// Utility: After votes change, resolve the rumor if high-credibility voters reached a
+// supermajority, then settle voter credibility (or re-settle if consensus flipped)
+function settleVotes(rumorId, now = Date.now()) {
+    const resolution = lifecycle.checkResolution(db, rumorId, now);
+    settlement.evaluate(db, rumorId, { now });
+    if (resolution) {
+        events.publish('rumor.resolved', { id: rumorId, status: resolution.status });
     }
+}
 
-    // Determine consensus direction
-    const consensusDirection = rumor.trust_score > 0 ? 'verify' : 'dispute';
+// Utility: Respond with one page of the rumor listing for these query parameters
+function sendRumorPage(res, query) {
+    const { error, options } = listing.parseListOptions(query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
 
-    // Get all voters for this rumor with their confidence weights
-    const votesStmt = db.prepare('SELECT hashed_token, vote_type, confidence FROM votes WHERE rumor_id = ?');
-    votesStmt.bind([rumorId]);
+    const { sql, params } = listing.buildListQuery(options);
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
 
-    const votersToUpdate = [];
-    while (votesStmt.step()) {
-        votersToUpdate.push(votesStmt.getAsObject());
+    const rows = [];
+    while (stmt.step()) {
+        rows.push(stmt.getAsObject());
     }
-    votesStmt.free();
+    stmt.free();
 
-    // Now update them outside the votesStmt loop to avoid "Statement closed" issues
-    votersToUpdate.forEach(vote => {
-        const aligned = vote.vote_type === consensusDirection;
-        const highConfidence = vote.confidence > 0.7;
-        updateUserCredibility(vote.hashed_token, aligned, highConfidence, false); // Don't save inside loop
-    });
+    const hasMore = rows.length > options.limit;
+    const page = rows.slice(0, options.limit);
+    const nextCursor = hasMore ? listing.encodeCursor(options.sort, page[page.length - 1]) : null;
 
-    saveDatabase();
-}
+    const ids = page.map(row => row.id);
+    const evidenceByRumor = evidence.listFor(db, ids);
+    const tagsByRumor = tags.listFor(db, ids);
+    const rumors = page.map(({ vote_margin, total_votes, ...rumor }) => ({
+        ...rumor,
+        tags: tagsByRumor.get(rumor.id),
+        evidence: evidenceByRumor.get(rumor.id)
+    }));
 
-// Utility: Update user credibility
-function updateUserCredibility(hashedToken, aligned, highConfidence, shouldSave = true) {
-    const CREDIBILITY_INCREASE = 0.02;
-    const CREDIBILITY_MULTIPLIER = 0.8;
-    const MIN_CREDIBILITY = 0.05;
-    const MAX_CREDIBILITY = 3.0;
+    res.json({ success: true, rumors, next_cursor: nextCursor, has_more: hasMore });
+}
 
-    const stmt = db.prepare('SELECT credibility, total_votes, aligned_votes FROM user_credibility WHERE hashed_token = ?');
-    stmt.bind([hashedToken]);
-    const hasUser = stmt.step();
-    const user = hasUser ? stmt.getAsObject() : null;
-    stmt.free();
+// API: Get rumors (paginated, filterable and sortable)
+app.get('/api/rumors', (req, res) => {
+    try {
+        sendRumorPage(res, req.query);
+    } catch (error) {
+        console.error('Error fetching rumors:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch rumors' });
+    }
+});
 
-    if (!user) return;
+// API: Configured tags with how many rumors carry each
+app.get('/api/tags', (req, res) => {
+    try {
+        res.json({ success: true, tags: tags.counts(db), max_per_rumor: config.MAX_TAGS_PER_RUMOR });
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch tags' });
+    }
+});
 
-    let newCredibility = user.credibility;
+// API: Feed of rumors with one tag (same paging, filters and sorting as GET /api/rumors)
+app.get('/api/tags/:tag/rumors', (req, res) => {
+    try {
+        const tag = req.params.tag.toLowerCase();
+        if (!tags.isTag(tag)) {
+            return res.status(404).json({ success: false, error: 'Unknown tag' });
+        }
 
-    if (aligned) {
-        newCredibility += CREDIBILITY_INCREASE;
-    } else if (highConfidence) {
-        newCredibility *= CREDIBILITY_MULTIPLIER;
-    } else {
-        newCredibility -= CREDIBILITY_INCREASE / 2;
+        sendRumorPage(res, { ...req.query, tag });
+    } catch (error) {
+        console.error('Error fetching tag feed:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch rumors' });
     }
+});
 
-    newCredibility = Math.max(MIN_CREDIBILITY, Math.min(MAX_CREDIBILITY, newCredibility));
+// API: Full-text search over rumors, ranked by relevance blended with trust score
+app.get('/api/search', (req, res) => {
+    try {
+        const MAX_LIMIT = 50;
+        const query = search.parseQuery(req.query.q);
+        if (query.error) {
+            return res.status(400).json({ success: false, error: query.error });
+        }
 
-    const newTotalVotes = user.total_votes + 1;
-    const newAlignedVotes = user.aligned_votes + (aligned ? 1 : 0);
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ success: false, error: `Limit must be between 1 and ${MAX_LIMIT}` });
+        }
 
-    db.run(`
-    UPDATE user_credibility 
-    SET credibility = ?, total_votes = ?, aligned_votes = ?, last_updated = ?
-    WHERE hashed_token = ?
-  `, [newCredibility, newTotalVotes, newAlignedVotes, Date.now(), hashedToken]);
+        const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+        if (!Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ success: false, error: 'Offset must be a non-negative integer' });
+        }
 
-    if (shouldSave) saveDatabase();
-}
+        const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
+        if (status && !listing.STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `Status must be one of: ${listing.STATUSES.join(', ')}` });
+        }
 
-// API: Get all rumors
-app.get('/api/rumors', (req, res) => {
-    try {
-        const now = Date.now();
-        const INACTIVITY_THRESHOLD = 7 * 30.44 * 24 * 60 * 60 * 1000; // ~7 months
-        const LOW_TRUST_THRESHOLD = -0.8;
-        const USER_CLEANUP_THRESHOLD = 365 * 24 * 60 * 60 * 1000; // 365 days
+        const { total, results } = search.search(db, { match: query.match, status, limit, offset });
+        const tagsByRumor = tags.listFor(db, results.map(rumor => rumor.id));
+        const rumors = results.map(rumor => ({ ...rumor, tags: tagsByRumor.get(rumor.id) }));
 
-        // One-time manipulation for SEECS rumor (requested by user)
-        const eighteenMonthsAgo = now - (18 * 30.44 * 24 * 60 * 60 * 1000);
-        db.run(`
-            UPDATE rumors 
-            SET timestamp = ?, status = 'ARCHIVED', is_archived = 1 
-            WHERE content LIKE '%SEECS is built on top of a graveyard%'
-        `, [eighteenMonthsAgo]);
+        res.json({ success: true, query: query.terms, total, rumors, has_more: offset + rumors.length < total });
+    } catch (error) {
+        console.error('Error searching rumors:', error);
+        res.status(500).json({ success: false, error: 'Failed to search rumors' });
+    }
+});
 
-        // Auto-archive check
-        db.run(`
-            UPDATE rumors 
-            SET status = 'ARCHIVED', is_archived = 1 
-            WHERE status = 'ACTIVE' 
-            AND (
-                (? - timestamp > ?) OR 
-                (trust_score < ?)
-            )
-        `, [now, INACTIVITY_THRESHOLD, LOW_TRUST_THRESHOLD]);
-
-        // Inactive User Cleanup (Optimization)
-        const thresholdDate = now - USER_CLEANUP_THRESHOLD;
-
-        // 1. Remove users inactive for > 1 year
-        db.run("DELETE FROM user_credibility WHERE last_updated < ?", [thresholdDate]);
-
-        // 2. Remove orphaned votes from deleted users to keep DB small
-        db.run(`
-            DELETE FROM votes 
-            WHERE hashed_token NOT IN (SELECT hashed_token FROM user_credibility)
-        `);
+// API: Trending rumors (ranked by time-decayed, credibility-weighted vote activity)
+app.get('/api/rumors/trending', (req, res) => {
+    try {
+        const MAX_LIMIT = 50;
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ success: false, error: `Limit must be between 1 and ${MAX_LIMIT}` });
+        }
 
-        saveDatabase();
+        const ranking = trending.getRanking().slice(0, limit);
+        if (ranking.length === 0) {
+            return res.json({ success: true, rumors: [] });
+        }
 
         const stmt = db.prepare(`
-      SELECT id, content, timestamp, verify_count, dispute_count, trust_score, submitter_token, status
+      SELECT id, content, timestamp, verify_count, dispute_count, trust_score, uncertainty, submitter_token, status
       FROM rumors
-      WHERE is_deleted = 0
-      ORDER BY status ASC, timestamp DESC
+      WHERE id IN (${ranking.map(() => '?').join(', ')}) AND is_deleted = 0 AND status = 'ACTIVE'
     `);
+        stmt.bind(ranking.map(entry => entry.rumorId));
 
-        const rumors = [];
+        const rumorsById = new Map();
         while (stmt.step()) {
             const row = stmt.getAsObject();
-            rumors.push(row);
+            rumorsById.set(row.id, row);
         }
         stmt.free();
 
+        const rumors = ranking
+            .filter(entry => rumorsById.has(entry.rumorId))
+            .map(entry => ({ ...rumorsById.get(entry.rumorId), trending_score: entry.score }));
+
         res.json({ success: true, rumors });
     } catch (error) {
-        console.error('Error fetching rumors:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch rumors' });
+        console.error('Error fetching trending rumors:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch trending rumors' });
     }
 });
 
 // API: Submit a new rumor
-app.post('/api/rumors', (req, res) => {
+app.post('/api/rumors', rateLimited('rumors'), transactional, (req, res) => {
     try {
         const { content, hashedToken, confidenceWeight } = req.body;
 
@@ -303,20 +337,57 @@ app.post('/api/rumors', (req, res) => {
             return res.status(400).json({ success: false, error: 'Valid confidence weight is required' });
         }
 
-        // Get submitter credibility
-        const userCredibility = getUserCredibility(hashedToken);
+        // Personal information and blocked words are masked out (or the rumor is rejected, per CONTENT_FILTER_MODE)
+        const screened = contentFilter.screen(content.trim());
+        if (screened.error) {
+            return res.status(400).json({ success: false, error: screened.error, found: screened.found });
+        }
+
+        const parsedTags = tags.parseTags(req.body.tags);
+        if (parsedTags.error) {
+            return res.status(400).json({ success: false, error: parsedTags.error });
+        }
+
+        const parsedEvidence = evidence.parseItems(req.body.evidence);
+        if (parsedEvidence.error) {
+            return res.status(400).json({ success: false, error: parsedEvidence.error });
+        }
+
+        // Optional time-to-live; the rumor expires once it passes
+        const timestamp = Date.now();
+        const ttl = lifecycle.parseTtl(req.body.ttlHours, timestamp);
+        if (ttl.error) {
+            return res.status(400).json({ success: false, error: ttl.error });
+        }
+
+        // The proof of work comes before the duplicate scan, so unsolved requests cannot make the server run it
+        const challengeError = checkNewTokenChallenge(hashedToken, req.body.pow);
+        if (challengeError) {
+            return sendChallenge(req, res, hashedToken, challengeError);
+        }
+
+        // Creates the user if it doesn't exist, so a resubmission after a duplicate warning needs no new proof of work
+        getUserCredibility(hashedToken);
+
+        // Point at likely duplicates; resubmit with ignoreDuplicates to post anyway
+        if (req.body.ignoreDuplicates !== true) {
+            const similar = duplicates.findSimilar(db, screened.content);
+            if (similar.length > 0) {
+                return res.status(409).json({ success: false, error: 'Similar rumors were posted recently', duplicates: similar });
+            }
+        }
+
+        // Get submitter credibility on the chosen tags
+        const userCredibility = tags.credibilityFor(db, hashedToken, parsedTags.tags);
 
         // Initial trust score = Credibility × Confidence Weight (Direction +1 for submission)
         const initialTrustScore = userCredibility * confidenceWeight;
 
         // Insert rumor
-        const timestamp = Date.now();
         db.run(`
-      INSERT INTO rumors (content, timestamp, verify_count, dispute_count, weighted_verify, weighted_dispute, trust_score, is_deleted, is_archived, submitter_token, status)
-      VALUES (?, ?, 0, 0, ?, 0, ?, 0, 0, ?, 'ACTIVE')
-    `, [content.trim(), timestamp, initialTrustScore, initialTrustScore, hashedToken]);
-
-        saveDatabase();
+      INSERT INTO rumors (content, timestamp, verify_count, dispute_count, weighted_verify, weighted_dispute, trust_score, is_deleted, is_archived, submitter_token, status, submission_weight, expires_at)
+      VALUES (?, ?, 0, 0, ?, 0, ?, 0, 0, ?, 'ACTIVE', ?, ?)
+    `, [screened.content, timestamp, initialTrustScore, initialTrustScore, hashedToken, initialTrustScore, ttl.expiresAt]);
 
         // Get last insert ID
         const stmt = db.prepare('SELECT last_insert_rowid() as id');
@@ -324,27 +395,98 @@ app.post('/api/rumors', (req, res) => {
         const result = stmt.getAsObject();
         stmt.free();
 
-        res.json({
-            success: true,
-            rumor: {
-                id: result.id,
-                content: content.trim(),
-                timestamp,
-                verify_count: 0,
-                dispute_count: 0,
-                trust_score: initialTrustScore,
-                submitter_token: hashedToken,
-                status: 'ACTIVE'
-            }
-        });
+        tags.store(db, result.id, parsedTags.tags);
+
+        // Submitter evidence strengthens the submission weight
+        if (parsedEvidence.items.length > 0) {
+            evidence.store(db, { rumorId: result.id, hashedToken, items: parsedEvidence.items, now: timestamp });
+        }
+        trust.refreshRumor(db, result.id); // Score (and uncertainty) under the configured strategy
+
+        const stored = get(db, 'SELECT trust_score, uncertainty FROM rumors WHERE id = ?', [result.id]);
+        const rumor = {
+            id: result.id,
+            content: screened.content,
+            timestamp,
+            verify_count: 0,
+            dispute_count: 0,
+            trust_score: stored.trust_score,
+            uncertainty: stored.uncertainty,
+            submitter_token: hashedToken,
+            status: 'ACTIVE',
+            expires_at: ttl.expiresAt,
+            edited_at: null,
+            resolved_at: null,
+            tags: parsedTags.tags,
+            evidence: evidence.listFor(db, [result.id]).get(result.id)
+        };
+
+        events.publish('rumor.created', rumor);
+
+        res.json({ success: true, rumor, masked: screened.found });
     } catch (error) {
         console.error('Error submitting rumor:', error);
         res.status(500).json({ success: false, error: 'Failed to submit rumor' });
     }
 });
 
+// API: Attach evidence to a rumor later (its submitter) or to your vote on it (a voter)
+app.post('/api/rumors/:id/evidence', rateLimited('rumors'), transactional, (req, res) => {
+    try {
+        const rumorId = parseInt(req.params.id, 10);
+        const { hashedToken } = req.body;
+
+        if (!Number.isInteger(rumorId)) {
+            return res.status(400).json({ success: false, error: 'Invalid rumor ID' });
+        }
+
+        if (!hashedToken || !isValidHashedToken(hashedToken)) {
+            return res.status(400).json({ success: false, error: 'Invalid token' });
+        }
+
+        const parsedEvidence = evidence.parseItems(req.body.evidence);
+        if (parsedEvidence.error) {
+            return res.status(400).json({ success: false, error: parsedEvidence.error });
+        }
+
+        if (parsedEvidence.items.length === 0) {
+            return res.status(400).json({ success: false, error: 'No evidence provided' });
+        }
+
+        const rumor = get(db, "SELECT id, submitter_token FROM rumors WHERE id = ? AND is_deleted = 0 AND is_archived = 0 AND status != 'QUARANTINED'", [rumorId]);
+        if (!rumor) {
+            return res.status(404).json({ success: false, error: 'Rumor not found, archived or quarantined' });
+        }
+
+        let voteId = null;
+        if (rumor.submitter_token !== hashedToken) {
+            const vote = get(db, 'SELECT id FROM votes WHERE rumor_id = ? AND hashed_token = ?', [rumorId, hashedToken]);
+            if (!vote) {
+                return res.status(403).json({ success: false, error: 'Only the submitter or a voter can add evidence' });
+            }
+            voteId = vote.id;
+        }
+
+        evidence.store(db, { rumorId, voteId, hashedToken, items: parsedEvidence.items, initial: false });
+        const score = trust.refreshRumor(db, rumorId);
+        settlement.evaluate(db, rumorId);
+
+        events.publish('rumor.voted', {
+            id: rumorId,
+            verify_count: score.verify_count,
+            dispute_count: score.dispute_count,
+            trust_score: score.trust_score
+        });
+
+        res.json({ success: true, trust_score: score.trust_score, evidence: evidence.listFor(db, [rumorId]).get(rumorId) });
+    } catch (error) {
+        console.error('Error adding evidence:', error);
+        res.status(500).json({ success: false, error: 'Failed to add evidence' });
+    }
+});
+
 // API: Vote on a rumor
-app.post('/api/vote', (req, res) => {
+app.post('/api/vote', rateLimited('votes'), transactional, (req, res) => {
     try {
         const { rumorId, hashedToken, voteType, confidenceWeight } = req.body;
 
@@ -365,14 +507,19 @@ app.post('/api/vote', (req, res) => {
             return res.status(400).json({ success: false, error: 'Invalid confidence weight' });
         }
 
+        const parsedEvidence = evidence.parseItems(req.body.evidence);
+        if (parsedEvidence.error) {
+            return res.status(400).json({ success: false, error: parsedEvidence.error });
+        }
+
         // Check if rumor exists
-        const rumorStmt = db.prepare('SELECT * FROM rumors WHERE id = ? AND is_deleted = 0 AND is_archived = 0');
+        const rumorStmt = db.prepare("SELECT * FROM rumors WHERE id = ? AND is_deleted = 0 AND is_archived = 0 AND status != 'QUARANTINED'");
         rumorStmt.bind([rumorId]);
         const rumorExists = rumorStmt.step();
         rumorStmt.free();
 
         if (!rumorExists) {
-            return res.status(404).json({ success: false, error: 'Rumor not found or archived' });
+            return res.status(404).json({ success: false, error: 'Rumor not found, archived or quarantined' });
         }
 
         // NEW: Prevents owner from voting
@@ -396,57 +543,80 @@ app.post('/api/vote', (req, res) => {
             return res.status(400).json({ success: false, error: 'You have already voted on this rumor' });
         }
 
+        // A retracted vote can only be cast again after the cooldown
+        const cooldown = voteChanges.cooldownRemaining(db, rumorId, hashedToken);
+        if (cooldown > 0) {
+            return sendRetryLater(res, cooldown, 'You changed your vote on this rumor too recently');
+        }
+
+        const challengeError = checkNewTokenChallenge(hashedToken, req.body.pow);
+        if (challengeError) {
+            return sendChallenge(req, res, hashedToken, challengeError);
+        }
+
         // Get user credibility (creates new user if doesn't exist)
         const userCredibility = getUserCredibility(hashedToken);
 
-        // Calculate vote impact: User Credibility × Confidence Weight × Vote Direction
-        const voteDirection = voteType === 'verify' ? 1 : -1;
-        const voteImpact = userCredibility * confidenceWeight * voteDirection;
+        // Votes on tagged rumors are weighted by the voter's credibility on those tags
+        const topicCredibility = tags.credibilityFor(db, hashedToken, tags.forRumor(db, rumorId));
 
-        console.log(`\n=== VOTE DEBUG ===`);
-        console.log(`User Credibility: ${userCredibility}`);
-        console.log(`Confidence Weight: ${confidenceWeight}`);
-        console.log(`Vote Type: ${voteType} (direction: ${voteDirection})`);
-        console.log(`Vote Impact: ${voteImpact}`);
+        // Young tokens vote at a damped weight until their probation ends
+        const onProbation = sybil.isOnProbation(db, hashedToken);
+        const voteWeight = topicCredibility * sybil.probationFactor(onProbation);
 
         // Insert vote
         const timestamp = Date.now();
         db.run(`
-      INSERT INTO votes (rumor_id, hashed_token, vote_type, timestamp, vote_weight, confidence)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, [rumorId, hashedToken, voteType, timestamp, userCredibility, confidenceWeight]);
+      INSERT INTO votes (rumor_id, hashed_token, vote_type, timestamp, vote_weight, confidence, probation)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [rumorId, hashedToken, voteType, timestamp, voteWeight, confidenceWeight, onProbation ? 1 : 0]);
+
+        const voteIdStmt = db.prepare('SELECT last_insert_rowid() as id');
+        voteIdStmt.step();
+        const voteId = voteIdStmt.getAsObject().id;
+        voteIdStmt.free();
 
-        // Update rumor vote counts (raw)
-        const countColumn = voteType === 'verify' ? 'verify_count' : 'dispute_count';
-        db.run(`UPDATE rumors SET ${countColumn} = ${countColumn} + 1 WHERE id = ?`, [rumorId]);
+        trending.recordVote(rumorId, voteWeight * confidenceWeight, timestamp);
 
-        // Get current trust score
-        const currentStmt = db.prepare('SELECT trust_score FROM rumors WHERE id = ?');
-        currentStmt.bind([rumorId]);
-        currentStmt.step();
-        const current = currentStmt.getAsObject();
-        currentStmt.free();
+        // Evidence makes the vote count for more in the trust score
+        evidence.store(db, { rumorId, voteId, hashedToken, items: parsedEvidence.items, now: timestamp });
 
-        console.log(`Old Trust Score: ${current.trust_score}`);
+        // Recompute counts and trust score from the votes table
+        trust.refreshRumor(db, rumorId);
 
-        // Update trust score: Old Trust Score + Vote Impact
-        const newTrustScore = current.trust_score + voteImpact;
-        db.run('UPDATE rumors SET trust_score = ? WHERE id = ?', [newTrustScore, rumorId]);
+        // Quarantine coordinated bursts of probation votes (including this one)
+        let quarantined = false;
+        if (onProbation) {
+            const burst = sybil.findBurst(db, rumorId, voteType, timestamp);
+            const quarantinedVotes = sybil.quarantineVotes(db, burst.map(vote => vote.id));
 
-        console.log(`New Trust Score: ${newTrustScore}`);
-        console.log(`=================\n`);
+            quarantinedVotes.forEach(vote => {
+                trending.recordVote(rumorId, -vote.vote_weight * vote.confidence, vote.timestamp);
+            });
+            quarantined = quarantinedVotes.some(vote => vote.id === voteId);
+
+            if (quarantinedVotes.length > 0) {
+                trust.refreshRumor(db, rumorId);
+                console.log(`Quarantined ${quarantinedVotes.length} burst votes on rumor ${rumorId}`);
+            }
+        }
 
         // Get updated counts
-        const updatedStmt = db.prepare('SELECT verify_count, dispute_count, trust_score FROM rumors WHERE id = ?');
+        const updatedStmt = db.prepare('SELECT verify_count, dispute_count, trust_score, uncertainty FROM rumors WHERE id = ?');
         updatedStmt.bind([rumorId]);
         updatedStmt.step();
         const updatedRumor = updatedStmt.getAsObject();
         updatedStmt.free();
 
-        saveDatabase();
+        // Settle voter credibility once consensus is reached (or re-settle if it flipped)
+        settleVotes(rumorId);
 
-        // Update voter credibility if consensus threshold is reached
-        updateVoterCredibility(rumorId);
+        events.publish('rumor.voted', {
+            id: rumorId,
+            verify_count: updatedRumor.verify_count,
+            dispute_count: updatedRumor.dispute_count,
+            trust_score: updatedRumor.trust_score
+        });
 
         res.json({
             success: true,
@@ -454,7 +624,12 @@ app.post('/api/vote', (req, res) => {
             verify_count: updatedRumor.verify_count,
             dispute_count: updatedRumor.dispute_count,
             trust_score: updatedRumor.trust_score,
-            your_credibility: userCredibility
+            uncertainty: updatedRumor.uncertainty,
+            your_credibility: userCredibility,
+            topic_credibility: topicCredibility,
+            vote_weight: voteWeight,
+            probation: onProbation,
+            quarantined
         });
     } catch (error) {
         console.error('Error recording vote:', error);
@@ -462,101 +637,928 @@ app.post('/api/vote', (req, res) => {
     }
 });
 
-// API: Get user credibility
-app.get('/api/credibility/:hashedToken', (req, res) => {
+// API: Proof-of-work challenge for a token without credibility history
+app.get('/api/challenge', (req, res) => {
+    const { hashedToken } = req.query;
+
+    if (!hashedToken || !isValidHashedToken(hashedToken)) {
+        return res.status(400).json({ success: false, error: 'Invalid token' });
+    }
+
+    res.json({ success: true, ...pow.issueChallenge(hashedToken) });
+});
+
+// API: Change a vote's direction and/or confidence while the rumor is active and unsettled
+app.post('/api/vote/change', rateLimited('votes'), transactional, (req, res) => {
     try {
-        const { hashedToken } = req.params;
+        const { rumorId, hashedToken, voteType, confidenceWeight } = req.body;
 
-        if (!isValidHashedToken(hashedToken)) {
+        // Validate input
+        if (!rumorId || typeof rumorId !== 'number') {
+            return res.status(400).json({ success: false, error: 'Invalid rumor ID' });
+        }
+
+        if (!hashedToken || !isValidHashedToken(hashedToken)) {
             return res.status(400).json({ success: false, error: 'Invalid token' });
         }
 
-        const credibility = getUserCredibility(hashedToken);
+        if (voteType === undefined && confidenceWeight === undefined) {
+            return res.status(400).json({ success: false, error: 'Provide a new voteType and/or confidenceWeight' });
+        }
 
-        const stmt = db.prepare('SELECT credibility, total_votes, aligned_votes FROM user_credibility WHERE hashed_token = ?');
-        stmt.bind([hashedToken]);
-        stmt.step();
-        const user = stmt.getAsObject();
-        stmt.free();
+        if (voteType !== undefined && !['verify', 'dispute'].includes(voteType)) {
+            return res.status(400).json({ success: false, error: 'Vote type must be "verify" or "dispute"' });
+        }
+
+        if (confidenceWeight !== undefined && (typeof confidenceWeight !== 'number' || confidenceWeight < 0.1 || confidenceWeight > 1.0)) {
+            return res.status(400).json({ success: false, error: 'Invalid confidence weight' });
+        }
+
+        const rumor = get(db, "SELECT id, settled_at FROM rumors WHERE id = ? AND is_deleted = 0 AND is_archived = 0 AND status != 'QUARANTINED'", [rumorId]);
+        if (!rumor) {
+            return res.status(404).json({ success: false, error: 'Rumor not found, archived or quarantined' });
+        }
+
+        const vote = get(db, 'SELECT * FROM votes WHERE rumor_id = ? AND hashed_token = ?', [rumorId, hashedToken]);
+        if (!vote) {
+            return res.status(404).json({ success: false, error: 'You have not voted on this rumor' });
+        }
+
+        if (vote.quarantine_status === sybil.QUARANTINED || vote.quarantine_status === sybil.REJECTED) {
+            return res.status(409).json({ success: false, error: 'This vote is quarantined and cannot be changed' });
+        }
+
+        const newType = voteType || vote.vote_type;
+        const newConfidence = confidenceWeight !== undefined ? confidenceWeight : vote.confidence;
+        if (newType === vote.vote_type && newConfidence === vote.confidence) {
+            return res.status(400).json({ success: false, error: 'Vote is unchanged' });
+        }
+
+        const cooldown = voteChanges.cooldownRemaining(db, rumorId, hashedToken);
+        if (cooldown > 0) {
+            return sendRetryLater(res, cooldown, 'You changed your vote on this rumor too recently');
+        }
+
+        const now = Date.now();
+
+        // Re-weigh as a freshly cast vote
+        const topicCredibility = tags.credibilityFor(db, hashedToken, tags.forRumor(db, rumorId));
+        const onProbation = sybil.isOnProbation(db, hashedToken);
+        const voteWeight = topicCredibility * sybil.probationFactor(onProbation);
+
+        const changed = voteChanges.change(db, rumor, vote, {
+            voteType: newType,
+            confidence: newConfidence,
+            voteWeight,
+            probation: onProbation
+        }, now);
+        if (changed.error) {
+            return res.status(409).json({ success: false, error: changed.error });
+        }
+
+        trending.recordVote(rumorId, -vote.vote_weight * vote.confidence, vote.timestamp);
+        trending.recordVote(rumorId, voteWeight * newConfidence, now);
+
+        const score = trust.refreshRumor(db, rumorId);
+        settleVotes(rumorId, now);
+
+        events.publish('rumor.voted', {
+            id: rumorId,
+            verify_count: score.verify_count,
+            dispute_count: score.dispute_count,
+            trust_score: score.trust_score
+        });
 
         res.json({
             success: true,
-            credibility: user.credibility,
-            total_votes: user.total_votes,
-            aligned_votes: user.aligned_votes,
-            alignment_rate: user.total_votes > 0 ? (user.aligned_votes / user.total_votes) : 0
+            message: 'Vote changed',
+            verify_count: score.verify_count,
+            dispute_count: score.dispute_count,
+            trust_score: score.trust_score,
+            uncertainty: score.uncertainty,
+            vote_weight: voteWeight
         });
     } catch (error) {
-        console.error('Error fetching credibility:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch credibility' });
+        console.error('Error changing vote:', error);
+        res.status(500).json({ success: false, error: 'Failed to change vote' });
     }
 });
 
-// API: Delete a rumor (Submitter only, with -0.1 penalty)
-app.post('/api/delete', (req, res) => {
+// API: Retract a vote while the rumor is active and unsettled
+app.post('/api/vote/retract', rateLimited('votes'), transactional, (req, res) => {
     try {
         const { rumorId, hashedToken } = req.body;
 
-        if (!rumorId || !hashedToken) {
-            return res.status(400).json({ success: false, error: 'Missing required fields' });
+        if (!rumorId || typeof rumorId !== 'number') {
+            return res.status(400).json({ success: false, error: 'Invalid rumor ID' });
         }
 
-        // Check if rumor exists and if the user is the owner
-        const stmt = db.prepare('SELECT submitter_token, is_deleted FROM rumors WHERE id = ?');
-        stmt.bind([rumorId]);
-        if (!stmt.step()) {
-            stmt.free();
-            return res.status(404).json({ success: false, error: 'Rumor not found' });
+        if (!hashedToken || !isValidHashedToken(hashedToken)) {
+            return res.status(400).json({ success: false, error: 'Invalid token' });
         }
 
-        const rumor = stmt.getAsObject();
-        stmt.free();
+        const rumor = get(db, "SELECT id, settled_at FROM rumors WHERE id = ? AND is_deleted = 0 AND is_archived = 0 AND status != 'QUARANTINED'", [rumorId]);
+        if (!rumor) {
+            return res.status(404).json({ success: false, error: 'Rumor not found, archived or quarantined' });
+        }
 
-        if (rumor.submitter_token !== hashedToken) {
-            return res.status(403).json({ success: false, error: 'Only the original submitter can delete this rumor' });
+        const vote = get(db, 'SELECT * FROM votes WHERE rumor_id = ? AND hashed_token = ?', [rumorId, hashedToken]);
+        if (!vote) {
+            return res.status(404).json({ success: false, error: 'You have not voted on this rumor' });
         }
 
-        if (rumor.is_deleted) {
-            return res.status(400).json({ success: false, error: 'Rumor is already deleted' });
+        const cooldown = voteChanges.cooldownRemaining(db, rumorId, hashedToken);
+        if (cooldown > 0) {
+            return sendRetryLater(res, cooldown, 'You changed your vote on this rumor too recently');
         }
 
-        // 1. Mark as deleted
-        db.run("UPDATE rumors SET is_deleted = 1 WHERE id = ?", [rumorId]);
+        const now = Date.now();
+        const retracted = voteChanges.retract(db, rumor, vote, now);
+        if (retracted.error) {
+            return res.status(409).json({ success: false, error: retracted.error });
+        }
 
-        // 2. Apply -0.1 credibility penalty
-        const MIN_CREDIBILITY = 0.05;
-        const credStmt = db.prepare('SELECT credibility FROM user_credibility WHERE hashed_token = ?');
-        credStmt.bind([hashedToken]);
-        if (credStmt.step()) {
-            const currentCred = credStmt.getAsObject().credibility;
-            const newCred = Math.max(MIN_CREDIBILITY, currentCred - 0.1);
+        if (vote.quarantine_status === null || vote.quarantine_status === sybil.RELEASED) {
+            trending.recordVote(rumorId, -vote.vote_weight * vote.confidence, vote.timestamp);
+        }
+
+        const score = trust.refreshRumor(db, rumorId);
+        settleVotes(rumorId, now);
+
+        events.publish('rumor.voted', {
+            id: rumorId,
+            verify_count: score.verify_count,
+            dispute_count: score.dispute_count,
+            trust_score: score.trust_score
+        });
+
+        res.json({
+            success: true,
+            message: 'Vote retracted',
+            verify_count: score.verify_count,
+            dispute_count: score.dispute_count,
+            trust_score: score.trust_score,
+            uncertainty: score.uncertainty
+        });
+    } catch (error) {
+        console.error('Error retracting vote:', error);
+        res.status(500).json({ success: false, error: 'Failed to retract vote' });
+    }
+});
+
+// API: Get user credibility (read-only; unknown tokens get the starting defaults)
+app.get('/api/credibility/:hashedToken', (req, res) => {
+    try {
+        const { hashedToken } = req.params;
 
-            db.run(`
-                UPDATE user_credibility 
-                SET credibility = ?, last_updated = ?
-                WHERE hashed_token = ?
-            `, [newCred, Date.now(), hashedToken]);
-            console.log(`Penalty applied to owner: ${hashedToken}. New Credibility: ${newCred}`);
+        if (!isValidHashedToken(hashedToken)) {
+            return res.status(400).json({ success: false, error: 'Invalid token' });
         }
-        credStmt.free();
 
-        saveDatabase();
+        const { known, credibility, total_votes, aligned_votes, alignment_rate, tag_credibility } = history.summary(db, hashedToken);
 
-        res.json({ success: true, message: 'Rumor deleted and penalty applied' });
+        res.json({ success: true, known, credibility, total_votes, aligned_votes, alignment_rate, tag_credibility });
     } catch (error) {
-        console.error('Error deleting rumor:', error);
-        res.status(500).json({ success: false, error: 'Failed to delete rumor' });
+        console.error('Error fetching credibility:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch credibility' });
     }
 });
 
-// Start server
-initDatabase().then(() => {
-    app.listen(PORT, () => {
-        console.log(`✓ Server running at http://localhost:${PORT}`);
-        console.log(`✓ Database initialized with credibility system`);
-        console.log(`✓ Ready to accept anonymous rumors with weighted voting`);
-    });
-}).catch(err => {
-    console.error('Failed to initialize database:', err);
-    process.exit(1);
+// API: Credibility history: what moved a token's credibility and how its votes are weighted.
+// It lists the token's voting record, so only its holder may read it (raw token in X-Raw-Token).
+app.get('/api/credibility/:hashedToken/history', (req, res) => {
+    try {
+        const { hashedToken } = req.params;
+        const MAX_LIMIT = 200;
+
+        if (!isValidHashedToken(hashedToken)) {
+            return res.status(400).json({ success: false, error: 'Invalid token' });
+        }
+
+        if (!linking.provesToken(req.get('X-Raw-Token'), hashedToken)) {
+            return res.status(401).json({ success: false, error: 'X-Raw-Token must be the raw token behind this hashed token' });
+        }
+
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ success: false, error: `Limit must be between 1 and ${MAX_LIMIT}` });
+        }
+
+        const before = req.query.before !== undefined ? parseInt(req.query.before, 10) : undefined;
+        if (before !== undefined && !Number.isInteger(before)) {
+            return res.status(400).json({ success: false, error: 'before must be a history entry id' });
+        }
+
+        const current = history.summary(db, hashedToken);
+        const entries = history.timeline(db, hashedToken, { limit, before });
+
+        res.json({
+            success: true,
+            current,
+            percentile: current.known ? history.percentile(db, current.credibility) : null,
+            vote_weight: history.voteWeight(db, hashedToken, current.credibility),
+            totals: history.totalsByReason(db, hashedToken),
+            history: entries,
+            next_before: entries.length === limit ? entries[entries.length - 1].id : null
+        });
+    } catch (error) {
+        console.error('Error fetching credibility history:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch credibility history' });
+    }
+});
+
+// API: Challenge for moving an old token's identity to this device's token, with a preview of both
+app.post('/api/link/challenge', rateLimited('votes'), (req, res) => {
+    try {
+        const { hashedToken, fromToken } = req.body;
+
+        if (!hashedToken || !isValidHashedToken(hashedToken) || !fromToken || !isValidHashedToken(fromToken)) {
+            return res.status(400).json({ success: false, error: "Provide this device's hashedToken and the old fromToken" });
+        }
+
+        const result = linking.issueChallenge(db, fromToken.toLowerCase(), hashedToken.toLowerCase());
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error issuing link challenge:', error);
+        res.status(500).json({ success: false, error: 'Failed to issue link challenge' });
+    }
+});
+
+// API: Link an old token into this device's token by answering the challenge with both raw tokens
+app.post('/api/link', rateLimited('votes'), transactional, (req, res) => {
+    try {
+        const { challenge, rawToken, rawFromToken } = req.body;
+
+        const now = Date.now();
+        const verified = linking.verifyResponse(challenge, rawFromToken, rawToken, now);
+        if (verified.error) {
+            return res.status(403).json({ success: false, error: verified.error });
+        }
+
+        const { fromToken, toToken } = verified;
+        const result = linking.link(db, fromToken, toToken, now);
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        // Dropped votes no longer count on their rumors
+        const rumorIds = [...new Set(result.dropped.map(vote => vote.rumor_id))];
+        result.dropped.filter(vote => vote.counted).forEach(vote => {
+            trending.recordVote(vote.rumor_id, -vote.vote_weight * vote.confidence, vote.timestamp);
+        });
+        rumorIds.forEach(rumorId => {
+            const score = trust.refreshRumor(db, rumorId);
+            settleVotes(rumorId, now);
+            events.publish('rumor.voted', {
+                id: rumorId,
+                verify_count: score.verify_count,
+                dispute_count: score.dispute_count,
+                trust_score: score.trust_score
+            });
+        });
+
+        const current = history.summary(db, toToken);
+        res.json({
+            success: true,
+            hashedToken: toToken,
+            credibility: current.credibility,
+            tag_credibility: current.tag_credibility,
+            moved: result.moved,
+            votes_dropped: result.dropped.length
+        });
+    } catch (error) {
+        console.error('Error linking tokens:', error);
+        res.status(500).json({ success: false, error: 'Failed to link tokens' });
+    }
+});
+
+// API: Delete a rumor (Submitter only, with -0.1 penalty)
+app.post('/api/delete', transactional, (req, res) => {
+    try {
+        const { rumorId, hashedToken } = req.body;
+
+        if (!rumorId || !hashedToken) {
+            return res.status(400).json({ success: false, error: 'Missing required fields' });
+        }
+
+        // Check if rumor exists and if the user is the owner
+        const stmt = db.prepare('SELECT submitter_token, is_deleted FROM rumors WHERE id = ?');
+        stmt.bind([rumorId]);
+        if (!stmt.step()) {
+            stmt.free();
+            return res.status(404).json({ success: false, error: 'Rumor not found' });
+        }
+
+        const rumor = stmt.getAsObject();
+        stmt.free();
+
+        if (rumor.submitter_token !== hashedToken) {
+            return res.status(403).json({ success: false, error: 'Only the original submitter can delete this rumor' });
+        }
+
+        if (rumor.is_deleted) {
+            return res.status(400).json({ success: false, error: 'Rumor is already deleted' });
+        }
+
+        // 1. Mark as deleted
+        db.run("UPDATE rumors SET is_deleted = 1 WHERE id = ?", [rumorId]);
+
+        // 2. Apply -0.1 credibility penalty
+        applyDeletePenalty(hashedToken, 'delete_penalty', rumorId);
+
+        events.publish('rumor.deleted', { id: rumorId });
+
+        res.json({ success: true, message: 'Rumor deleted and penalty applied' });
+    } catch (error) {
+        console.error('Error deleting rumor:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete rumor' });
+    }
+});
+
+// API: Correct a rumor shortly after posting (submitter only); votes cast before the edit are reset
+app.post('/api/rumors/:id/edit', rateLimited('rumors'), transactional, (req, res) => {
+    try {
+        const rumorId = parseInt(req.params.id, 10);
+        const { hashedToken, content } = req.body;
+
+        if (!Number.isInteger(rumorId)) {
+            return res.status(400).json({ success: false, error: 'Invalid rumor ID' });
+        }
+
+        if (!hashedToken || !isValidHashedToken(hashedToken)) {
+            return res.status(400).json({ success: false, error: 'Invalid token' });
+        }
+
+        if (!content || typeof content !== 'string' || content.trim().length === 0) {
+            return res.status(400).json({ success: false, error: 'Content is required' });
+        }
+
+        if (content.length > 500) {
+            return res.status(400).json({ success: false, error: 'Content too long (max 500 characters)' });
+        }
+
+        const rumor = get(db, 'SELECT id, content, timestamp, status, submitter_token FROM rumors WHERE id = ? AND is_deleted = 0', [rumorId]);
+        if (!rumor) {
+            return res.status(404).json({ success: false, error: 'Rumor not found' });
+        }
+
+        if (rumor.submitter_token !== hashedToken) {
+            return res.status(403).json({ success: false, error: 'Only the original submitter can edit this rumor' });
+        }
+
+        const screened = contentFilter.screen(content.trim());
+        if (screened.error) {
+            return res.status(400).json({ success: false, error: screened.error, found: screened.found });
+        }
+
+        const now = Date.now();
+        const result = lifecycle.edit(db, rumor, screened.content, now);
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        result.votes.filter(vote => vote.counted).forEach(vote => {
+            trending.recordVote(rumorId, -vote.vote_weight * vote.confidence, vote.timestamp);
+        });
+        const score = trust.refreshRumor(db, rumorId);
+
+        events.publish('rumor.edited', { id: rumorId, content: screened.content, edited_at: now, votes_reset: result.votes.length });
+        events.publish('rumor.voted', {
+            id: rumorId,
+            verify_count: score.verify_count,
+            dispute_count: score.dispute_count,
+            trust_score: score.trust_score
+        });
+
+        res.json({
+            success: true,
+            content: screened.content,
+            masked: screened.found,
+            edited_at: now,
+            votes_reset: result.votes.length,
+            trust_score: score.trust_score
+        });
+    } catch (error) {
+        console.error('Error editing rumor:', error);
+        res.status(500).json({ success: false, error: 'Failed to edit rumor' });
+    }
+});
+
+// API: Edit history of a rumor
+app.get('/api/rumors/:id/edits', (req, res) => {
+    try {
+        const rumorId = parseInt(req.params.id, 10);
+        if (!Number.isInteger(rumorId)) {
+            return res.status(400).json({ success: false, error: 'Invalid rumor ID' });
+        }
+
+        const rumor = get(db, "SELECT id FROM rumors WHERE id = ? AND is_deleted = 0 AND status != 'QUARANTINED'", [rumorId]);
+        if (!rumor) {
+            return res.status(404).json({ success: false, error: 'Rumor not found' });
+        }
+
+        res.json({ success: true, edits: lifecycle.editHistory(db, rumorId) });
+    } catch (error) {
+        console.error('Error fetching edit history:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch edit history' });
+    }
+});
+
+// API: Comment thread for a rumor (read-only once the rumor is archived or quarantined)
+app.get('/api/rumors/:id/comments', (req, res) => {
+    try {
+        const rumorId = parseInt(req.params.id, 10);
+        if (!Number.isInteger(rumorId)) {
+            return res.status(400).json({ success: false, error: 'Invalid rumor ID' });
+        }
+
+        const rumor = get(db, 'SELECT id, submitter_token, is_archived, status FROM rumors WHERE id = ? AND is_deleted = 0', [rumorId]);
+        if (!rumor) {
+            return res.status(404).json({ success: false, error: 'Rumor not found' });
+        }
+
+        const readOnly = rumor.is_archived === 1 || rumor.status === moderation.QUARANTINED;
+        res.json({ success: true, read_only: readOnly, comments: comments.thread(db, rumor) });
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch comments' });
+    }
+});
+
+// API: Comment on a rumor or reply to another comment
+app.post('/api/rumors/:id/comments', rateLimited('comments'), transactional, (req, res) => {
+    try {
+        const rumorId = parseInt(req.params.id, 10);
+        const { hashedToken, content, parentId } = req.body;
+
+        if (!Number.isInteger(rumorId)) {
+            return res.status(400).json({ success: false, error: 'Invalid rumor ID' });
+        }
+
+        if (!hashedToken || !isValidHashedToken(hashedToken)) {
+            return res.status(400).json({ success: false, error: 'Invalid token' });
+        }
+
+        const contentError = comments.validateContent(content);
+        if (contentError) {
+            return res.status(400).json({ success: false, error: contentError });
+        }
+
+        if (parentId !== undefined && parentId !== null && !Number.isInteger(parentId)) {
+            return res.status(400).json({ success: false, error: 'Invalid parent comment ID' });
+        }
+
+        const rumor = get(db, 'SELECT id, submitter_token, is_archived, status FROM rumors WHERE id = ? AND is_deleted = 0', [rumorId]);
+        if (!rumor) {
+            return res.status(404).json({ success: false, error: 'Rumor not found' });
+        }
+
+        if (rumor.is_archived) {
+            return res.status(403).json({ success: false, error: 'Comments on archived rumors are read-only' });
+        }
+
+        if (rumor.status === moderation.QUARANTINED) {
+            return res.status(403).json({ success: false, error: 'Comments are closed while the rumor is quarantined' });
+        }
+
+        if (parentId !== undefined && parentId !== null) {
+            const parent = get(db, 'SELECT id FROM comments WHERE id = ? AND rumor_id = ? AND is_deleted = 0', [parentId, rumorId]);
+            if (!parent) {
+                return res.status(404).json({ success: false, error: 'Parent comment not found' });
+            }
+        }
+
+        const challengeError = checkNewTokenChallenge(hashedToken, req.body.pow);
+        if (challengeError) {
+            return sendChallenge(req, res, hashedToken, challengeError);
+        }
+
+        const credibility = getUserCredibility(hashedToken);
+        const now = Date.now();
+
+        db.run(`
+      INSERT INTO comments (rumor_id, parent_id, hashed_token, content, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [rumorId, parentId !== undefined ? parentId : null, hashedToken, content.trim(), now]);
+
+        const row = get(db, 'SELECT * FROM comments WHERE id = last_insert_rowid()');
+
+        const comment = comments.present({ ...row, credibility }, rumor.submitter_token);
+        events.publish('comment.created', { rumor_id: rumorId, comment });
+
+        res.json({ success: true, comment });
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        res.status(500).json({ success: false, error: 'Failed to add comment' });
+    }
+});
+
+// API: Delete a comment (Author only, with the same penalty as deleting a rumor)
+app.post('/api/comments/:id/delete', transactional, (req, res) => {
+    try {
+        const commentId = parseInt(req.params.id, 10);
+        const { hashedToken } = req.body;
+
+        if (!Number.isInteger(commentId) || !hashedToken) {
+            return res.status(400).json({ success: false, error: 'Missing required fields' });
+        }
+
+        const comment = get(db, `
+      SELECT c.id, c.rumor_id, c.hashed_token, c.is_deleted, r.is_archived
+      FROM comments c
+      JOIN rumors r ON r.id = c.rumor_id
+      WHERE c.id = ?
+    `, [commentId]);
+        if (!comment) {
+            return res.status(404).json({ success: false, error: 'Comment not found' });
+        }
+
+        if (comment.hashed_token !== hashedToken) {
+            return res.status(403).json({ success: false, error: 'Only the author can delete this comment' });
+        }
+
+        if (comment.is_deleted) {
+            return res.status(400).json({ success: false, error: 'Comment is already deleted' });
+        }
+
+        if (comment.is_archived) {
+            return res.status(403).json({ success: false, error: 'Comments on archived rumors are read-only' });
+        }
+
+        db.run('UPDATE comments SET is_deleted = 1 WHERE id = ?', [commentId]);
+        applyDeletePenalty(hashedToken, 'comment_delete_penalty', comment.rumor_id);
+
+        events.publish('comment.deleted', { id: commentId, rumor_id: comment.rumor_id });
+
+        res.json({ success: true, message: 'Comment deleted and penalty applied' });
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete comment' });
+    }
+});
+
+// API: Flag a rumor as harmful; enough credible flags quarantine it for community review
+app.post('/api/rumors/:id/flag', rateLimited('votes'), transactional, (req, res) => {
+    try {
+        const rumorId = parseInt(req.params.id, 10);
+        const { hashedToken, reason } = req.body;
+
+        if (!Number.isInteger(rumorId)) {
+            return res.status(400).json({ success: false, error: 'Invalid rumor ID' });
+        }
+
+        if (!hashedToken || !isValidHashedToken(hashedToken)) {
+            return res.status(400).json({ success: false, error: 'Invalid token' });
+        }
+
+        if (!moderation.FLAG_REASONS.includes(reason)) {
+            return res.status(400).json({ success: false, error: `Reason must be one of: ${moderation.FLAG_REASONS.join(', ')}` });
+        }
+
+        const rumor = get(db, 'SELECT id, submitter_token, status FROM rumors WHERE id = ? AND is_deleted = 0', [rumorId]);
+        if (!rumor) {
+            return res.status(404).json({ success: false, error: 'Rumor not found' });
+        }
+
+        const challengeError = checkNewTokenChallenge(hashedToken, req.body.pow);
+        if (challengeError) {
+            return sendChallenge(req, res, hashedToken, challengeError);
+        }
+
+        getUserCredibility(hashedToken);
+        const result = moderation.flag(db, rumor, hashedToken, reason);
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        if (result.quarantined) {
+            events.publish('rumor.quarantined', { id: rumorId, status: moderation.QUARANTINED });
+        }
+
+        res.json({ success: true, weight: result.weight, flags: result.tally, quarantined: result.quarantined });
+    } catch (error) {
+        console.error('Error flagging rumor:', error);
+        res.status(500).json({ success: false, error: 'Failed to flag rumor' });
+    }
+});
+
+// API: Quarantined rumors awaiting community review
+app.get('/api/moderation/queue', (req, res) => {
+    try {
+        res.json({ success: true, rumors: moderation.queue(db) });
+    } catch (error) {
+        console.error('Error fetching moderation queue:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch moderation queue' });
+    }
+});
+
+// API: Vote to keep or remove a quarantined rumor (credibility-weighted)
+app.post('/api/rumors/:id/review', rateLimited('votes'), transactional, (req, res) => {
+    try {
+        const rumorId = parseInt(req.params.id, 10);
+        const { hashedToken, decision } = req.body;
+
+        if (!Number.isInteger(rumorId)) {
+            return res.status(400).json({ success: false, error: 'Invalid rumor ID' });
+        }
+
+        if (!hashedToken || !isValidHashedToken(hashedToken)) {
+            return res.status(400).json({ success: false, error: 'Invalid token' });
+        }
+
+        if (!moderation.DECISIONS.includes(decision)) {
+            return res.status(400).json({ success: false, error: `Decision must be one of: ${moderation.DECISIONS.join(', ')}` });
+        }
+
+        const rumor = get(db, 'SELECT id, submitter_token, status, quarantined_at FROM rumors WHERE id = ? AND is_deleted = 0', [rumorId]);
+        if (!rumor) {
+            return res.status(404).json({ success: false, error: 'Rumor not found' });
+        }
+
+        const challengeError = checkNewTokenChallenge(hashedToken, req.body.pow);
+        if (challengeError) {
+            return sendChallenge(req, res, hashedToken, challengeError);
+        }
+
+        getUserCredibility(hashedToken);
+        const result = moderation.review(db, rumor, hashedToken, decision);
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        if (result.outcome === 'keep') {
+            const restored = get(db, 'SELECT status FROM rumors WHERE id = ?', [rumorId]);
+            events.publish('rumor.restored', { id: rumorId, status: restored.status });
+        } else if (result.outcome === 'remove') {
+            events.publish('rumor.deleted', { id: rumorId });
+        }
+
+        res.json({ success: true, weight: result.weight, reviews: result.tally, outcome: result.outcome });
+    } catch (error) {
+        console.error('Error reviewing rumor:', error);
+        res.status(500).json({ success: false, error: 'Failed to review rumor' });
+    }
+});
+
+// API: Merge a duplicate rumor into its canonical rumor (admin only)
+app.post('/api/rumors/:id/merge', requireAdmin, transactional, (req, res) => {
+    try {
+        const duplicateId = parseInt(req.params.id, 10);
+        const { into } = req.body;
+
+        if (!Number.isInteger(duplicateId) || !Number.isInteger(into)) {
+            return res.status(400).json({ success: false, error: 'Provide the duplicate rumor ID and a numeric "into" rumor ID' });
+        }
+
+        const now = Date.now();
+        const result = duplicates.merge(db, duplicateId, into, now);
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        result.moved.forEach(vote => {
+            if (vote.counted) {
+                trending.recordVote(into, vote.vote_weight * vote.confidence, vote.timestamp);
+            }
+        });
+
+        trust.refreshRumor(db, duplicateId);
+        const score = trust.refreshRumor(db, into);
+        settleVotes(into, now);
+
+        events.publish('rumor.merged', { id: duplicateId, into });
+        events.publish('rumor.voted', {
+            id: into,
+            verify_count: score.verify_count,
+            dispute_count: score.dispute_count,
+            trust_score: score.trust_score
+        });
+
+        res.json({
+            success: true,
+            merged: duplicateId,
+            into,
+            votes_moved: result.moved.length,
+            votes_dropped: result.dropped.length,
+            credits_reversed: result.reversed,
+            verify_count: score.verify_count,
+            dispute_count: score.dispute_count,
+            trust_score: score.trust_score
+        });
+    } catch (error) {
+        console.error('Error merging rumors:', error);
+        res.status(500).json({ success: false, error: 'Failed to merge rumors' });
+    }
+});
+
+// API: Quarantined vote bursts awaiting review
+app.get('/api/quarantine', (req, res) => {
+    try {
+        res.json({ success: true, rumors: sybil.listQuarantine(db) });
+    } catch (error) {
+        console.error('Error fetching quarantine:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch quarantined votes' });
+    }
+});
+
+// API: Release or reject quarantined votes (admin)
+app.post('/api/quarantine/review', requireAdmin, transactional, (req, res) => {
+    try {
+        const { voteIds, decision } = req.body;
+
+        if (!Array.isArray(voteIds) || voteIds.length === 0 || !voteIds.every(id => Number.isInteger(id))) {
+            return res.status(400).json({ success: false, error: 'voteIds must be a non-empty array of vote IDs' });
+        }
+
+        if (!['release', 'reject'].includes(decision)) {
+            return res.status(400).json({ success: false, error: 'Decision must be "release" or "reject"' });
+        }
+
+        const status = decision === 'release' ? sybil.RELEASED : sybil.REJECTED;
+        const reviewed = sybil.reviewVotes(db, voteIds, status);
+
+        const rumorIds = new Set(reviewed.map(vote => vote.rumor_id));
+        if (decision === 'release') {
+            rumorIds.forEach(rumorId => trust.refreshRumor(db, rumorId));
+        }
+
+        if (decision === 'release') {
+            reviewed.forEach(vote => trending.recordVote(vote.rumor_id, vote.vote_weight * vote.confidence, vote.timestamp));
+            rumorIds.forEach(rumorId => {
+                settleVotes(rumorId);
+
+                const stmt = db.prepare('SELECT verify_count, dispute_count, trust_score FROM rumors WHERE id = ?');
+                stmt.bind([rumorId]);
+                stmt.step();
+                const rumor = stmt.getAsObject();
+                stmt.free();
+
+                events.publish('rumor.voted', { id: rumorId, ...rumor });
+            });
+        }
+
+        res.json({ success: true, reviewed: reviewed.map(vote => vote.id), decision });
+    } catch (error) {
+        console.error('Error reviewing quarantine:', error);
+        res.status(500).json({ success: false, error: 'Failed to review quarantined votes' });
+    }
+});
+
+// API: Recompute all trust scores and diff them against stored values (admin).
+// Any strategy can be previewed; only the configured one can be applied.
+app.post('/api/trust/rebuild', requireAdmin, transactional, (req, res) => {
+    try {
+        const { strategy = config.TRUST_STRATEGY, apply = false } = req.body;
+
+        if (!trust.isStrategy(strategy)) {
+            return res.status(400).json({ success: false, error: `Strategy must be one of: ${Object.keys(trust.STRATEGIES).join(', ')}` });
+        }
+
+        if (apply && strategy !== config.TRUST_STRATEGY) {
+            return res.status(400).json({ success: false, error: trust.applyMismatchError(strategy) });
+        }
+
+        const report = trust.rebuildAll(db, { strategy, apply: Boolean(apply) });
+
+        if (report.applied && report.changed > 0) {
+            report.diffs.forEach(diff => events.publish('rumor.voted', {
+                id: diff.id,
+                verify_count: diff.computed.verify_count,
+                dispute_count: diff.computed.dispute_count,
+                trust_score: diff.computed.trust_score
+            }));
+        }
+
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('Error rebuilding trust scores:', error);
+        res.status(500).json({ success: false, error: 'Failed to rebuild trust scores' });
+    }
+});
+
+// API: Download a research dump of rumors, votes, evidence and credibility (admin).
+// Tokens are re-keyed and ids renumbered per export unless rekey=false; jitter/bucket (seconds) blur timestamps.
+app.get('/api/export', requireAdmin, (req, res) => {
+    try {
+        const { error, options } = dataset.parseExportOptions(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const dump = dataset.exportData(db, options);
+        const date = new Date(dump.exported_at).toISOString().slice(0, 10);
+
+        res.attachment(`rumors-${date}.${options.format}`);
+        res.type(options.format === 'json' ? 'application/json' : 'application/x-ndjson');
+        res.send(dataset.serialize(dump, options.format));
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        res.status(500).json({ success: false, error: 'Failed to export data' });
+    }
+});
+
+// API: Aggregate statistics from the latest rollup, with small groups suppressed
+app.get('/api/stats', (req, res) => {
+    try {
+        const { error, options } = stats.parseReportOptions(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        res.json({ success: true, ...stats.report(db, options) });
+    } catch (error) {
+        console.error('Error fetching stats:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch stats' });
+    }
+});
+
+// API: Maintenance job status and last-run report
+app.get('/api/maintenance', (req, res) => {
+    res.json({ success: true, dryRun: config.MAINTENANCE_DRY_RUN, jobs: maintenance.status() });
+});
+
+// API: Run maintenance jobs now (admin); dryRun lists what would be archived or purged
+app.post('/api/maintenance/run', requireAdmin, (req, res) => {
+    try {
+        const { job, dryRun = false } = req.body;
+
+        if (job !== undefined && !maintenance.JOBS[job]) {
+            return res.status(400).json({ success: false, error: `Job must be one of: ${Object.keys(maintenance.JOBS).join(', ')}` });
+        }
+
+        const reports = job
+            ? [maintenance.runJob(job, { dryRun: Boolean(dryRun) })]
+            : maintenance.runAll({ dryRun: Boolean(dryRun) });
+
+        res.json({ success: true, reports });
+    } catch (error) {
+        console.error('Error running maintenance:', error);
+        res.status(500).json({ success: false, error: 'Failed to run maintenance' });
+    }
+});
+
+// API: Real-time rumor feed (Server-Sent Events)
+app.get('/api/stream', (req, res) => {
+    const HEARTBEAT_INTERVAL = 25 * 1000;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = event => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    // Resume from the last event the client saw, if it can still be replayed
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+        const missed = events.eventsSince(lastEventId);
+        if (missed) {
+            missed.forEach(send);
+        } else {
+            res.write(`event: resync\ndata: ${JSON.stringify({ lastEventId: events.lastEventId() })}\n\n`);
+        }
+    }
+
+    const unsubscribe = events.subscribe(send);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Start server
+store.initDatabase().then(database => {
+    db = database;
+    comments.init(db);
+    trending.init(db);
+    maintenance.start(db);
+
+    app.listen(PORT, () => {
+        console.log(`✓ Server running at http://localhost:${PORT}`);
+        console.log(`✓ Database initialized with credibility system`);
+        console.log(`✓ Ready to accept anonymous rumors with weighted voting`);
+    });
+}).catch(err => {
+    console.error('Failed to initialize database:', err);
+    process.exit(1);
+});
+
+// Flush a final snapshot on shutdown (committed writes are already safe in the journal)
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        maintenance.stop();
+        store.closeDatabase();
+        process.exit(0);
+    });
 });
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dataset = require('../lib/dataset');
+const { createDatabase, token, addUser, addRumor, addVote } = require('./helpers');
+
+function addEvidence(db, rumorId, voteId, hashedToken, fileName) {
+    db.run(`
+        INSERT INTO evidence (rumor_id, vote_id, hashed_token, type, file_name, mime_type, size, created_at)
+        VALUES (?, ?, ?, 'image', ?, 'image/png', 100, 2000)
+    `, [rumorId, voteId, hashedToken, fileName]);
+}
+
+async function databaseWithSubmitterEvidence() {
+    const db = await createDatabase();
+    addUser(db, token('s'));
+    addUser(db, token('a'));
+    const rumorId = addRumor(db, { submitter: token('s') });
+    addVote(db, addRumor(db, { content: 'The canteen is closing' }), token('s'), 'verify');
+    const voteId = addVote(db, rumorId, token('a'), 'verify');
+    addEvidence(db, rumorId, null, token('s'), 'a'.repeat(64) + '.png');
+    addEvidence(db, rumorId, voteId, token('a'), 'b'.repeat(64) + '.png');
+    return db;
+}
+
+test('a re-keyed export does not link rumors to their submitters or image files', async () => {
+    const db = await databaseWithSubmitterEvidence();
+    const dump = dataset.exportData(db);
+
+    assert.ok(dump.rumors.every(rumor => rumor.submitter === null));
+    assert.ok(dump.evidence.every(item => item.file_name === null));
+
+    const submitterEvidence = dump.evidence.find(item => item.vote_id === null);
+    const knownTokens = [...dump.votes, ...dump.credibility].map(record => record.token);
+    assert.ok(!knownTokens.includes(submitterEvidence.token));
+    assert.deepStrictEqual(dataset.validate(dump), []);
+});
+
+test('an export with original tokens keeps submitters and image files', async () => {
+    const db = await databaseWithSubmitterEvidence();
+    const dump = dataset.exportData(db, { rekey: false });
+
+    assert.strictEqual(dump.rumors[0].submitter, token('s'));
+    assert.strictEqual(dump.evidence[0].token, token('s'));
+    assert.strictEqual(dump.evidence[0].file_name, 'a'.repeat(64) + '.png');
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const duplicates = require('../lib/duplicates');
+const { get } = require('../lib/sql');
+const { createDatabase, token, addRumor, addVote } = require('./helpers');
+
+async function twoRumors(canonical = {}) {
+    const db = await createDatabase();
+    const duplicateId = addRumor(db, { submitter: token('d') });
+    const canonicalId = addRumor(db, { submitter: token('c'), ...canonical });
+    addVote(db, duplicateId, token('a'), 'verify');
+    return { db, duplicateId, canonicalId };
+}
+
+test('a rumor merges into an active canonical rumor', async () => {
+    const { db, duplicateId, canonicalId } = await twoRumors();
+
+    const result = duplicates.merge(db, duplicateId, canonicalId);
+    assert.ok(!result.error);
+    assert.strictEqual(result.moved.length, 1);
+    assert.strictEqual(get(db, 'SELECT merged_into FROM rumors WHERE id = ?', [duplicateId]).merged_into, canonicalId);
+});
+
+test('a canonical rumor that is not active is rejected', async () => {
+    for (const status of ['ARCHIVED', 'EXPIRED', 'QUARANTINED', 'CONFIRMED', 'DEBUNKED']) {
+        const { db, duplicateId, canonicalId } = await twoRumors({ status });
+
+        assert.ok(duplicates.merge(db, duplicateId, canonicalId).error, status);
+        assert.strictEqual(get(db, 'SELECT rumor_id FROM votes').rumor_id, duplicateId);
+        assert.strictEqual(get(db, 'SELECT merged_into FROM rumors WHERE id = ?', [duplicateId]).merged_into, null);
+    }
+});
+
+test('a canonical rumor that was itself merged is rejected', async () => {
+    const { db, duplicateId, canonicalId } = await twoRumors();
+    const otherId = addRumor(db, { content: 'The exam moved to Monday' });
+    duplicates.merge(db, canonicalId, otherId);
+
+    const result = duplicates.merge(db, duplicateId, canonicalId);
+    assert.match(result.error, new RegExp(`merged into rumor ${otherId}`));
+    assert.strictEqual(get(db, 'SELECT rumor_id FROM votes').rumor_id, duplicateId);
+});
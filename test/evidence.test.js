@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rumors-evidence-'));
+process.env.DB_PATH = path.join(dir, 'rumors.db');
+process.env.EVIDENCE_DIR = path.join(dir, 'evidence');
+
+const store = require('../lib/db');
+const evidence = require('../lib/evidence');
+const { token, addRumor } = require('./helpers');
+
+const image = content => ({ type: 'image', mimeType: 'image/png', data: Buffer.from(content) });
+
+function storedFiles() {
+    return fs.existsSync(process.env.EVIDENCE_DIR) ? fs.readdirSync(process.env.EVIDENCE_DIR) : [];
+}
+
+let db;
+
+test.before(async () => {
+    db = await store.initDatabase({ migrate: true });
+});
+test.after(() => {
+    store.closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('an image is written only once its transaction commits', () => {
+    store.beginTransaction();
+    evidence.store(db, { rumorId: addRumor(db), hashedToken: token('a'), items: [image('committed')] });
+    assert.deepStrictEqual(storedFiles(), []);
+
+    store.commitTransaction();
+    assert.strictEqual(storedFiles().length, 1);
+});
+
+test('a rolled-back request leaves no image behind', () => {
+    const before = storedFiles();
+    store.beginTransaction();
+    evidence.store(db, { rumorId: addRumor(db), hashedToken: token('a'), items: [image('rolled back')] });
+    store.rollbackTransaction();
+
+    assert.deepStrictEqual(storedFiles(), before);
+});
@@ -0,0 +1,46 @@
+const initSqlJs = require('sql.js');
+const migrations = require('../lib/migrate');
+
+// Shared fixtures: an in-memory database on the current schema, and rows to fill it with.
+
+async function createDatabase() {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    migrations.migrate(db);
+    return db;
+}
+
+function token(char) {
+    return char.repeat(64);
+}
+
+function addUser(db, hashedToken, { credibility = 0.1, createdAt = 0 } = {}) {
+    db.run(`
+        INSERT INTO user_credibility (hashed_token, credibility, total_votes, aligned_votes, created_at, last_updated)
+        VALUES (?, ?, 0, 0, ?, ?)
+    `, [hashedToken, credibility, createdAt, createdAt]);
+}
+
+function addRumor(db, { content = 'The library closes early on Friday', submitter = token('0'), status = 'ACTIVE', timestamp = 1000 } = {}) {
+    db.run(`
+        INSERT INTO rumors (content, timestamp, submitter_token, status, submission_weight)
+        VALUES (?, ?, ?, ?, 0)
+    `, [content, timestamp, submitter, status]);
+    return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+}
+
+function addVote(db, rumorId, hashedToken, voteType, { weight = 0.1, confidence = 0.9, timestamp = 2000 } = {}) {
+    db.run(`
+        INSERT INTO votes (rumor_id, hashed_token, vote_type, timestamp, vote_weight, confidence)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [rumorId, hashedToken, voteType, timestamp, weight, confidence]);
+    return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+}
+
+module.exports = {
+    createDatabase,
+    token,
+    addUser,
+    addRumor,
+    addVote
+};
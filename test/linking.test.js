@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const linking = require('../lib/linking');
+const { get } = require('../lib/sql');
+const { createDatabase, token, addUser } = require('./helpers');
+
+function setTagCredibility(db, hashedToken, values) {
+    db.run('UPDATE user_credibility SET tag_credibility = ? WHERE hashed_token = ?', [JSON.stringify(values), hashedToken]);
+}
+
+test('linking keeps the higher credibility instead of adding gains together', async () => {
+    const db = await createDatabase();
+    addUser(db, token('a'), { credibility: 0.3 });
+    addUser(db, token('b'), { credibility: 0.25 });
+    setTagCredibility(db, token('a'), { academics: 0.2, sports: 0.4 });
+    setTagCredibility(db, token('b'), { academics: 0.3 });
+
+    const result = linking.link(db, token('a'), token('b'));
+    assert.ok(!result.error);
+
+    const user = get(db, 'SELECT credibility, tag_credibility FROM user_credibility WHERE hashed_token = ?', [token('b')]);
+    assert.strictEqual(user.credibility, 0.3);
+    assert.deepStrictEqual(JSON.parse(user.tag_credibility), { academics: 0.3, sports: 0.4 });
+    assert.strictEqual(get(db, 'SELECT 1 AS found FROM user_credibility WHERE hashed_token = ?', [token('a')]), null);
+});
+
+test('linking a weaker token leaves the new token where it was', async () => {
+    const db = await createDatabase();
+    addUser(db, token('a'), { credibility: 0.05 });
+    addUser(db, token('b'), { credibility: 0.2 });
+
+    linking.link(db, token('a'), token('b'));
+
+    assert.strictEqual(get(db, 'SELECT credibility FROM user_credibility WHERE hashed_token = ?', [token('b')]).credibility, 0.2);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const stats = require('../lib/stats');
+const trust = require('../lib/trust');
+const { get } = require('../lib/sql');
+const config = require('../lib/config');
+const { createDatabase, token, addRumor, addVote } = require('./helpers');
+
+function consensusOf(db, rumorId) {
+    return get(db, 'SELECT consensus_direction, consensus_flips FROM rumors WHERE id = ?', [rumorId]);
+}
+
+function consensusRollup(db) {
+    const rows = stats.compute(db, 3000).filter(row => row.metric === 'consensus');
+    return Object.fromEntries(rows.map(row => [row.bucket, row.count]));
+}
+
+test('a change of leading side after the consensus threshold counts as a flip', async () => {
+    const db = await createDatabase();
+    const rumorId = addRumor(db);
+
+    ['a', 'b', 'c'].forEach(char => addVote(db, rumorId, token(char), 'dispute'));
+    trust.refreshRumor(db, rumorId);
+    assert.deepStrictEqual(consensusOf(db, rumorId), { consensus_direction: null, consensus_flips: 0 });
+
+    ['d', 'e'].forEach(char => addVote(db, rumorId, token(char), 'verify'));
+    trust.refreshRumor(db, rumorId);
+    assert.deepStrictEqual(consensusOf(db, rumorId), { consensus_direction: 'dispute', consensus_flips: 0 });
+
+    ['f', 'g'].forEach(char => addVote(db, rumorId, token(char), 'verify'));
+    trust.refreshRumor(db, rumorId);
+    assert.deepStrictEqual(consensusOf(db, rumorId), { consensus_direction: 'verify', consensus_flips: 1 });
+
+    assert.deepStrictEqual(consensusRollup(db), { reached: 1, settled: 0, flipped: 1 });
+});
+
+test('a rumor that keeps its side after the threshold has not flipped', async () => {
+    const db = await createDatabase();
+    const rumorId = addRumor(db);
+
+    ['a', 'b', 'c', 'd', 'e', 'f'].forEach(char => {
+        addVote(db, rumorId, token(char), 'verify');
+        trust.refreshRumor(db, rumorId);
+    });
+
+    assert.deepStrictEqual(consensusOf(db, rumorId), { consensus_direction: 'verify', consensus_flips: 0 });
+    assert.deepStrictEqual(consensusRollup(db), { reached: 1, settled: 0, flipped: 0 });
+});
+
+test('distributions only cover rumors submitted within the stats window', async () => {
+    const db = await createDatabase();
+    addRumor(db, { timestamp: 1000 });
+    addRumor(db, { content: 'The gym reopens next week', timestamp: 1000 + config.STATS_WINDOW });
+
+    const total = stats.compute(db, 2000 + config.STATS_WINDOW).find(row => row.metric === 'rumors');
+    assert.strictEqual(total.count, 1);
+});
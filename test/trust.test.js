@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const evidence = require('../lib/evidence');
+const trust = require('../lib/trust');
+const { createDatabase, token, addRumor, addVote } = require('./helpers');
+
+const vote = (voteType, weight) => ({ vote_type: voteType, vote_weight: weight, confidence: 1, has_evidence: 0 });
+
+test('the normalized strategy scores a rumor with no votes 0', () => {
+    const score = trust.computeScore({ submission_weight: 0.3, has_evidence: 0 }, [], 'normalized');
+    assert.strictEqual(score.trust_score, 0);
+    assert.strictEqual(score.weighted_verify, 0.3);
+});
+
+test('the normalized strategy compares the vote sides without the submission', () => {
+    const score = trust.computeScore({ submission_weight: 0.3, has_evidence: 0 }, [vote('verify', 0.1), vote('dispute', 0.3)], 'normalized');
+    assert.ok(Math.abs(score.trust_score - -0.5) < 1e-9);
+});
+
+test('the additive strategy still counts the submission as a verify', () => {
+    const score = trust.computeScore({ submission_weight: 0.3, has_evidence: 0 }, [vote('dispute', 0.1)], 'additive');
+    assert.ok(Math.abs(score.trust_score - 0.2) < 1e-9);
+});
+
+test('only evidence sent with a vote earns the evidence bonus', async () => {
+    const db = await createDatabase();
+    const rumorId = addRumor(db);
+    const source = [{ type: 'url', url: 'https://example.com/notice' }];
+    const withVote = addVote(db, rumorId, token('a'), 'verify', { weight: 0.1, confidence: 1 });
+    const later = addVote(db, rumorId, token('b'), 'dispute', { weight: 0.1, confidence: 1 });
+
+    evidence.store(db, { rumorId, voteId: withVote, hashedToken: token('a'), items: source });
+    evidence.store(db, { rumorId, voteId: later, hashedToken: token('b'), items: source, initial: false });
+
+    const score = trust.refreshRumor(db, rumorId);
+    assert.ok(Math.abs(score.weighted_verify - 0.15) < 1e-9);
+    assert.ok(Math.abs(score.weighted_dispute - 0.1) < 1e-9);
+});
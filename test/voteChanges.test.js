@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const settlement = require('../lib/settlement');
+const trust = require('../lib/trust');
+const voteChanges = require('../lib/voteChanges');
+const { get } = require('../lib/sql');
+const { createDatabase, token, addUser, addRumor, addVote } = require('./helpers');
+
+// A rumor settled as verified, with one confident dispute vote that was penalised
+async function settledWithMisalignedVote() {
+    const db = await createDatabase();
+    const rumorId = addRumor(db);
+    ['a', 'b', 'c', 'd', 'e', 'f'].forEach(char => addUser(db, token(char)));
+    ['a', 'b', 'c', 'd', 'e'].forEach(char => addVote(db, rumorId, token(char), 'verify'));
+    addVote(db, rumorId, token('f'), 'dispute');
+    trust.refreshRumor(db, rumorId);
+    settlement.evaluate(db, rumorId, { now: 3000 });
+
+    const rumor = get(db, 'SELECT id, settled_at, settled_direction FROM rumors WHERE id = ?', [rumorId]);
+    const vote = get(db, 'SELECT * FROM votes WHERE rumor_id = ? AND hashed_token = ?', [rumorId, token('f')]);
+    return { db, rumor, vote };
+}
+
+function credibilityOf(db, hashedToken) {
+    return get(db, 'SELECT credibility FROM user_credibility WHERE hashed_token = ?', [hashedToken]).credibility;
+}
+
+test('a misaligned vote keeps its penalty when retracted after settlement', async () => {
+    const { db, rumor, vote } = await settledWithMisalignedVote();
+    assert.strictEqual(rumor.settled_direction, 'verify');
+    const penalised = credibilityOf(db, token('f'));
+    assert.ok(penalised < 0.1);
+
+    const result = voteChanges.retract(db, rumor, vote, 10 * 60 * 60 * 1000);
+    assert.ok(result.error);
+    settlement.evaluate(db, rumor.id, { now: 20 * 60 * 60 * 1000 });
+
+    assert.strictEqual(credibilityOf(db, token('f')), penalised);
+    assert.ok(get(db, 'SELECT id FROM votes WHERE id = ?', [vote.id]));
+});
+
+test('a misaligned vote cannot be switched to the winning side after settlement', async () => {
+    const { db, rumor, vote } = await settledWithMisalignedVote();
+    const penalised = credibilityOf(db, token('f'));
+
+    const result = voteChanges.change(db, rumor, vote, { voteType: 'verify', confidence: 0.9, voteWeight: 0.1, probation: false });
+    assert.ok(result.error);
+    settlement.evaluate(db, rumor.id, { final: true });
+
+    assert.strictEqual(credibilityOf(db, token('f')), penalised);
+    assert.strictEqual(get(db, 'SELECT vote_type FROM votes WHERE id = ?', [vote.id]).vote_type, 'dispute');
+});
+
+test('votes on an unsettled rumor can still be retracted', async () => {
+    const db = await createDatabase();
+    const rumorId = addRumor(db);
+    addUser(db, token('a'));
+    const voteId = addVote(db, rumorId, token('a'), 'verify');
+    const rumor = get(db, 'SELECT id, settled_at FROM rumors WHERE id = ?', [rumorId]);
+    const vote = get(db, 'SELECT * FROM votes WHERE id = ?', [voteId]);
+
+    assert.deepStrictEqual(voteChanges.retract(db, rumor, vote), {});
+    assert.strictEqual(get(db, 'SELECT id FROM votes WHERE id = ?', [voteId]), null);
+});
+
+test('a vote that switches side loses its evidence', async () => {
+    const db = await createDatabase();
+    const rumorId = addRumor(db);
+    addUser(db, token('a'));
+    const voteId = addVote(db, rumorId, token('a'), 'verify');
+    db.run("INSERT INTO evidence (rumor_id, vote_id, hashed_token, type, url, created_at) VALUES (?, ?, ?, 'url', 'https://example.com', 2000)",
+        [rumorId, voteId, token('a')]);
+    const rumor = get(db, 'SELECT id, settled_at FROM rumors WHERE id = ?', [rumorId]);
+    const vote = get(db, 'SELECT * FROM votes WHERE id = ?', [voteId]);
+
+    voteChanges.change(db, rumor, vote, { voteType: 'verify', confidence: 0.5, voteWeight: 0.1, probation: false });
+    assert.ok(get(db, 'SELECT id FROM evidence WHERE vote_id = ?', [voteId]));
+
+    voteChanges.change(db, rumor, { ...vote, confidence: 0.5 }, { voteType: 'dispute', confidence: 0.5, voteWeight: 0.1, probation: false });
+    assert.strictEqual(get(db, 'SELECT id FROM evidence WHERE vote_id = ?', [voteId]), null);
+    assert.strictEqual(trust.refreshRumor(db, rumorId).weighted_dispute, 0.1 * 0.5);
+});